@@ -0,0 +1,187 @@
+// Device classification shared by the Express server and the MCP servers.
+// Decides whether a device (MAC + reported name) counts as a person in presence reports.
+//
+// Rules are stored in the `classification_rules` table. Enabled rules are checked from the
+// highest priority down (ties: oldest rule first) and the first rule that matches decides
+// ('include' or 'exclude'). When no rule matches, the built-in name heuristic decides.
+
+const RULE_TYPES = ['name_regex', 'mac_prefix', 'device_suffix', 'mac_list'];
+const RULE_ACTIONS = ['include', 'exclude'];
+const DEFAULT_RULE_PRIORITY = 100;
+
+// Query for the rules to evaluate, in evaluation order
+const ENABLED_RULES_SQL = `SELECT * FROM classification_rules WHERE enabled = 1 ORDER BY priority DESC, id`;
+
+const CREATE_RULES_TABLE_SQL = `CREATE TABLE IF NOT EXISTS classification_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    action TEXT NOT NULL,
+    priority INTEGER NOT NULL DEFAULT ${DEFAULT_RULE_PRIORITY},
+    enabled INTEGER NOT NULL DEFAULT 1,
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+)`;
+
+const normalizeName = (name) => {
+    if (!name) return 'Unregistered Device';
+    return name.replace(/\s*\(([^)]+)\)/, '').trim();
+};
+
+// Device type the name was registered with, e.g. 'LAPTOP' for 'JUAN DELA CRUZ (LAPTOP)'
+function deviceSuffix(name) {
+    const match = /\(([^)]+)\)?/.exec(name || '');
+    return match ? match[1].trim() : null;
+}
+
+// Heuristic to decide if a string is likely a human employee name
+// Rules:
+// - Not the placeholder 'Unregistered Device'
+// - After normalization (removing device type in parentheses),
+//   must contain at least 2 tokens that include letters
+// - Avoid obvious garbage like empty strings
+function isLikelyEmployeeName(rawName) {
+    const normalized = normalizeName(rawName);
+    if (!normalized || normalized === 'Unregistered Device') return false;
+    const parts = normalized
+        .split(/\s+/)
+        .filter(Boolean);
+    if (parts.length < 2) return false;
+    // at least two parts contain alphabetic characters
+    const alphaParts = parts.filter(p => /[A-Za-z]/.test(p));
+    return alphaParts.length >= 2;
+}
+
+const macHex = (value) => String(value || '').replace(/[^0-9a-fA-F]/g, '').toLowerCase();
+
+// Locally-administered MACs (second bit of the first octet set) are the randomized
+// "private" addresses phones and laptops rotate through; they never identify a vendor.
+function isLocallyAdministeredMac(mac) {
+    const hex = macHex(mac);
+    return hex.length === 12 && (parseInt(hex.slice(0, 2), 16) & 0x02) !== 0;
+}
+
+// Pattern of a mac_list rule: MACs separated by commas, semicolons or whitespace
+function parseMacList(pattern) {
+    return String(pattern || '').split(/[\s,;]+/).map(macHex).filter(Boolean);
+}
+
+/**
+ * Validates a rule body. With `partial` (updates) only the given fields are checked;
+ * `current` is the stored rule, so a new pattern is checked against its (possibly new) type.
+ * Returns { errors } or { values } with the columns to write.
+ */
+function parseRuleInput(body, partial, current) {
+    const errors = [];
+    const values = {};
+    const type = body.type !== undefined ? body.type : current && current.type;
+
+    if (!partial || body.type !== undefined) {
+        if (!RULE_TYPES.includes(body.type)) errors.push(`type must be one of: ${RULE_TYPES.join(', ')}.`);
+        else values.type = body.type;
+    }
+    if (!partial || body.action !== undefined) {
+        if (!RULE_ACTIONS.includes(body.action)) errors.push(`action must be one of: ${RULE_ACTIONS.join(', ')}.`);
+        else values.action = body.action;
+    }
+    if (!partial || body.pattern !== undefined || body.type !== undefined) {
+        let pattern = body.pattern !== undefined ? body.pattern : current && current.pattern;
+        if (Array.isArray(pattern)) pattern = pattern.join('\n');
+        pattern = pattern === undefined || pattern === null ? '' : String(pattern).trim();
+        if (!pattern) {
+            errors.push('pattern is required.');
+        } else if (type === 'name_regex') {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                errors.push(`pattern is not a valid regular expression: ${error.message}`);
+            }
+        } else if (type === 'mac_prefix' && (!/^[0-9a-fA-F:.\-\s]+$/.test(pattern) || macHex(pattern).length > 12)) {
+            errors.push('pattern must be the start of a MAC address, e.g. 3c:22:fb.');
+        } else if (type === 'mac_list') {
+            const macs = parseMacList(pattern);
+            if (!macs.length || macs.some(mac => mac.length !== 12)) errors.push('pattern must list full MAC addresses.');
+            else pattern = macs.map(mac => mac.match(/.{2}/g).join(':')).join('\n');
+        }
+        values.pattern = pattern;
+    }
+    if (body.priority !== undefined) {
+        if (!Number.isInteger(body.priority)) errors.push('priority must be an integer.');
+        values.priority = body.priority;
+    } else if (!partial) {
+        values.priority = DEFAULT_RULE_PRIORITY;
+    }
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') errors.push('enabled must be true or false.');
+        values.enabled = body.enabled ? 1 : 0;
+    }
+    if (body.description !== undefined) values.description = body.description ? String(body.description).trim() : null;
+
+    return errors.length ? { errors } : { values };
+}
+
+// Turn a stored rule into a matcher. Returns null for a rule that can no longer be evaluated.
+function compileRule(rule) {
+    const base = { id: rule.id, type: rule.type, action: rule.action, priority: rule.priority };
+    switch (rule.type) {
+        case 'name_regex': {
+            let regex;
+            try {
+                regex = new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                return null;
+            }
+            return { ...base, matches: (device) => regex.test(device.name || '') };
+        }
+        case 'mac_prefix': {
+            const prefix = macHex(rule.pattern);
+            return { ...base, matches: (device) => macHex(device.mac).startsWith(prefix) };
+        }
+        case 'device_suffix': {
+            const suffix = rule.pattern.trim().toLowerCase();
+            return { ...base, matches: (device) => (deviceSuffix(device.name) || '').toLowerCase() === suffix };
+        }
+        case 'mac_list': {
+            const macs = new Set(parseMacList(rule.pattern));
+            return { ...base, matches: (device) => macs.has(macHex(device.mac)) };
+        }
+        default:
+            return null;
+    }
+}
+
+// Compile rows in any order into the evaluation order used by classifyDevice
+function compileRules(rows) {
+    return rows
+        .slice()
+        .sort((a, b) => b.priority - a.priority || a.id - b.id)
+        .map(compileRule)
+        .filter(Boolean);
+}
+
+/**
+ * Classifies one device ({ mac, name }) with compiled rules.
+ * @returns {{ included: boolean, rule_id: number|null }} rule_id is null when the
+ *          built-in heuristic decided.
+ */
+function classifyDevice(rules, device) {
+    const rule = rules.find(r => r.matches(device));
+    if (rule) return { included: rule.action === 'include', rule_id: rule.id };
+    return { included: isLikelyEmployeeName(device.name), rule_id: null };
+}
+
+module.exports = {
+    RULE_TYPES,
+    RULE_ACTIONS,
+    DEFAULT_RULE_PRIORITY,
+    ENABLED_RULES_SQL,
+    CREATE_RULES_TABLE_SQL,
+    normalizeName,
+    deviceSuffix,
+    isLikelyEmployeeName,
+    isLocallyAdministeredMac,
+    parseRuleInput,
+    compileRules,
+    classifyDevice
+};
@@ -0,0 +1,138 @@
+// Time zone handling shared by the Express server and the MCP servers.
+//
+// Log timestamps are stored as wall-clock times of the site's office time zone, in the
+// form 'YYYY-MM-DDTHH:mm:ss' without an offset, so SQLite's date(FirstSeen) is the office
+// day. The source API sends that form already; timestamps with 'Z' or an offset are
+// converted when they are stored. In JavaScript stored values are parsed as if they were
+// UTC, which keeps the wall-clock arithmetic independent of the zone the process runs in.
+//
+// A workday runs from WORKDAY_START to WORKDAY_START the next day (default midnight to
+// midnight). Setting it to e.g. 06:00 keeps a 22:00-06:00 session on the day it started.
+
+const fs = require('fs');
+
+const OFFICE_TIMEZONE = process.env.OFFICE_TIMEZONE || 'Asia/Manila'; // Default for sites without their own
+const WORKDAY_START = process.env.WORKDAY_START || '00:00'; // 'HH:mm' at which one workday ends and the next begins
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// GLOB pattern of a stored (normalized) timestamp, for finding rows that still need converting
+const STORED_TIMESTAMP_GLOB = '[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]T[0-9][0-9]:[0-9][0-9]:[0-9][0-9]';
+
+const WALL_TIME = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const ZONED_TIME = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})$/i;
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock time of an instant in `timeZone`, as a stored timestamp
+function formatWallTime(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year.padStart(4, '0')}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Normalizes a source timestamp to the stored form. A timestamp without an offset is
+ * already office time and only loses its fraction of a second; one with 'Z' or an offset
+ * is converted to `timeZone`. Returns null for values that are not timestamps.
+ */
+function normalizeTimestamp(value, timeZone) {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    const wall = WALL_TIME.exec(text);
+    if (wall) {
+        const [, year, month, day, hour, minute, second = '00'] = wall;
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    }
+    if (!ZONED_TIME.test(text)) return null;
+    const date = new Date(text.replace(' ', 'T').replace(/\s+/g, ''));
+    return Number.isNaN(date.getTime()) ? null : formatWallTime(date, timeZone);
+}
+
+// Stored timestamp -> Date carrying the wall-clock time in its UTC fields
+function parseStoredTimestamp(value) {
+    const normalized = normalizeTimestamp(value, 'UTC');
+    return normalized ? new Date(`${normalized}Z`) : new Date(NaN);
+}
+
+// Inverse of parseStoredTimestamp, in the 'YYYY-MM-DD HH:mm:ss' form used for sessions
+function toLocalISOString(d) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+}
+
+const timeOfDayMs = (time) => (Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5))) * 60 * 1000;
+
+// [start, end) of workday `dayStr` as parsed timestamps; `startTime` defaults to WORKDAY_START
+function workdayWindow(dayStr, startTime = WORKDAY_START) {
+    const start = new Date(Date.parse(`${dayStr}T00:00:00Z`) + timeOfDayMs(startTime));
+    return [start, new Date(start.getTime() + DAY_MS)];
+}
+
+// Workday (YYYY-MM-DD) a parsed timestamp belongs to
+function workdayOf(date, startTime = WORKDAY_START) {
+    return new Date(date.getTime() - timeOfDayMs(startTime)).toISOString().slice(0, 10);
+}
+
+// Workdays a parsed session touches, first to last (one entry for most sessions)
+function listWorkdays([start, end], startTime = WORKDAY_START) {
+    const days = [];
+    const last = workdayOf(end > start ? new Date(end.getTime() - 1) : start, startTime);
+    for (let day = workdayOf(start, startTime); day <= last; day = new Date(Date.parse(`${day}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10)) {
+        days.push(day);
+    }
+    return days;
+}
+
+// Clamp a parsed session to one workday (YYYY-MM-DD); null if it doesn't touch that day.
+// The pieces of a session clamped to consecutive workdays add up to the whole session.
+function clampIntervalToDay([start, end], dayStr, startTime = WORKDAY_START) {
+    const [dayStart, dayEnd] = workdayWindow(dayStr, startTime);
+    if (start >= dayEnd || end < dayStart || (start < dayStart && end <= dayStart)) return null;
+    const s = new Date(Math.max(start.getTime(), dayStart.getTime()));
+    const e = new Date(Math.min(end.getTime(), dayEnd.getTime()));
+    return [s, e];
+}
+
+// { siteId: timeZone } from a sites.json file, for readers that don't load the full site config
+function readSiteTimeZones(sitesFile) {
+    try {
+        const sites = JSON.parse(fs.readFileSync(sitesFile, 'utf8'));
+        const zones = {};
+        sites.forEach(site => { zones[site.id] = site.timezone || OFFICE_TIMEZONE; });
+        return zones;
+    } catch (error) {
+        return {};
+    }
+}
+
+module.exports = {
+    OFFICE_TIMEZONE,
+    WORKDAY_START,
+    STORED_TIMESTAMP_GLOB,
+    isValidTimeZone,
+    formatWallTime,
+    normalizeTimestamp,
+    parseStoredTimestamp,
+    toLocalISOString,
+    workdayWindow,
+    workdayOf,
+    listWorkdays,
+    clampIntervalToDay,
+    readSiteTimeZones
+};
@@ -6,24 +6,21 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import path from 'path';
 import { fileURLToPath } from 'url';
+// Device classification rules shared with the Express server (../server.js)
+import { ENABLED_RULES_SQL, normalizeName, compileRules, classifyDevice } from '../lib/classification.js';
+// Logs are stored in office wall-clock time; days are bucketed the same way as in ../server.js
+import {
+  OFFICE_TIMEZONE,
+  formatWallTime,
+  parseStoredTimestamp,
+  toLocalISOString,
+  clampIntervalToDay,
+  readSiteTimeZones
+} from '../lib/timezone.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function toLocalISOString(d) {
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
-}
-
-function clampIntervalToDay([start, end], dayStr) {
-  const dayStart = new Date(`${dayStr}T00:00:00`);
-  const dayEnd = new Date(`${dayStr}T23:59:59`);
-  const s = new Date(Math.max(start.getTime(), dayStart.getTime()));
-  const e = new Date(Math.min(end.getTime(), dayEnd.getTime()));
-  if (e < s) return null;
-  return [s, e];
-}
-
 function mergeSessions(intervals, gapMinutes = 30) {
   if (!intervals.length) return [];
   intervals.sort((a, b) => a[0] - b[0]);
@@ -66,9 +63,14 @@ class DavaoWifiMCPServer {
     if (!this.db) await this.initialize();
   }
 
-  normalizeName(name) {
-    if (!name) return 'Unregistered Device';
-    return name.replace(/\s*\(([^)]+)\)/, '').trim();
+  // Classification rules as configured through the web app. Databases created before
+  // rules existed have no rules table; the built-in name heuristic applies then.
+  async loadRules() {
+    try {
+      return compileRules(await this.db.all(ENABLED_RULES_SQL));
+    } catch (error) {
+      return compileRules([]);
+    }
   }
 
   async getEmployeePresence({ employeeName, date, gapMinutes = 30 }) {
@@ -77,7 +79,7 @@ class DavaoWifiMCPServer {
 
     const rows = await this.db.all(
       `SELECT Name, FirstSeen, LastSeen FROM logs 
-       WHERE date(FirstSeen) = ? OR date(LastSeen) = ?
+       WHERE date(FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')
        ORDER BY FirstSeen`,
       [date, date]
     );
@@ -86,12 +88,12 @@ class DavaoWifiMCPServer {
     const intervals = [];
     let canonicalName = null;
     for (const r of rows) {
-      const norm = this.normalizeName(r.Name);
+      const norm = normalizeName(r.Name);
       if (!norm.toLowerCase().includes(target)) continue;
       canonicalName = canonicalName || norm;
-      const start = new Date(r.FirstSeen);
-      const end = new Date(r.LastSeen || r.FirstSeen);
-      const clamped = clampIntervalToDay([start, end], date);
+      const start = parseStoredTimestamp(r.FirstSeen);
+      const end = parseStoredTimestamp(r.LastSeen || r.FirstSeen);
+      const clamped = clampIntervalToDay([start, end >= start ? end : start], date);
       if (clamped) intervals.push(clamped);
     }
 
@@ -120,19 +122,20 @@ class DavaoWifiMCPServer {
     console.error(`getDailyReport date=${date} gap=${gapMinutes}`);
 
     const rows = await this.db.all(
-      `SELECT Name, FirstSeen, LastSeen FROM logs 
-       WHERE date(FirstSeen) = ? OR date(LastSeen) = ?
+      `SELECT Mac, Name, FirstSeen, LastSeen FROM logs 
+       WHERE date(FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')
        ORDER BY Name, FirstSeen`,
       [date, date]
     );
+    const rules = await this.loadRules();
 
     const byName = new Map();
     for (const r of rows) {
-      const norm = this.normalizeName(r.Name);
-      if (norm.toLowerCase().includes('unknown') || norm.toLowerCase().includes('anonymous')) continue;
-      const start = new Date(r.FirstSeen);
-      const end = new Date(r.LastSeen || r.FirstSeen);
-      const clamped = clampIntervalToDay([start, end], date);
+      if (!classifyDevice(rules, { mac: r.Mac, name: r.Name }).included) continue;
+      const norm = normalizeName(r.Name);
+      const start = parseStoredTimestamp(r.FirstSeen);
+      const end = parseStoredTimestamp(r.LastSeen || r.FirstSeen);
+      const clamped = clampIntervalToDay([start, end >= start ? end : start], date);
       if (!clamped) continue;
       if (!byName.has(norm)) byName.set(norm, []);
       byName.get(norm).push(clamped);
@@ -160,17 +163,29 @@ class DavaoWifiMCPServer {
   async getCurrentlyPresent({ windowMinutes = 30 } = {}) {
     await this.ensureDb();
     console.error(`getCurrentlyPresent window=${windowMinutes}m`);
+    // LastSeen is wall-clock time of the row's site, so the cutoff is computed per time zone
+    const zones = readSiteTimeZones(path.join(__dirname, '..', 'sites.json'));
+    const since = new Date(Date.now() - windowMinutes * 60 * 1000);
+    const cutoff = (site) => formatWallTime(since, zones[site] || OFFICE_TIMEZONE);
+    const earliest = [OFFICE_TIMEZONE, ...Object.values(zones)].map(zone => formatWallTime(since, zone)).sort()[0];
     const rows = await this.db.all(
-      `SELECT Name, MAX(LastSeen) as last_seen 
+      `SELECT Mac, Name, site, MAX(LastSeen) as last_seen 
        FROM logs 
-       WHERE datetime(LastSeen) > datetime('now', ?)
-       GROUP BY Name`,
-      [`-${windowMinutes} minutes`]
+       WHERE LastSeen > ?
+       GROUP BY Mac, Name, site`,
+      [earliest]
     );
+    const rules = await this.loadRules();
 
-    const employees = rows
-      .map(r => ({ name: this.normalizeName(r.Name), last_seen: r.last_seen }))
-      .filter(r => !/unknown|anonymous/i.test(r.name));
+    // One entry per person, even when several of their devices are connected
+    const lastSeenByName = new Map();
+    for (const r of rows) {
+      if (r.last_seen <= cutoff(r.site)) continue;
+      if (!classifyDevice(rules, { mac: r.Mac, name: r.Name }).included) continue;
+      const name = normalizeName(r.Name);
+      if (!lastSeenByName.has(name) || r.last_seen > lastSeenByName.get(name)) lastSeenByName.set(name, r.last_seen);
+    }
+    const employees = Array.from(lastSeenByName, ([name, last_seen]) => ({ name, last_seen }));
 
     const result = { timestamp: new Date().toISOString(), count: employees.length, employees };
     return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
@@ -272,10 +287,11 @@ class DavaoWifiMCPServer {
             return await this.getEmployeePresence(args);
           case 'presenceAnalytics': {
             const { startDate, endDate, gapMinutes = 30 } = args;
-            const start = new Date(startDate);
-            const end = new Date(endDate);
+            // Dates are calendar days, so they are stepped in UTC whatever zone the process runs in
+            const start = new Date(`${startDate}T00:00:00Z`);
+            const end = new Date(`${endDate}T00:00:00Z`);
             const days = [];
-            for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+            for (let d = new Date(start); d <= end; d.setUTCDate(d.getUTCDate() + 1)) {
               const dayStr = d.toISOString().slice(0, 10);
               const rep = await this.getDailyReport({ date: dayStr, gapMinutes });
               const data = JSON.parse(rep.content[0].text);
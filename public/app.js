@@ -1,46 +1,114 @@
 $(document).ready(function() {
     const API_URL = window.location.origin;
-    let currentMoment = moment();
+    let currentMoment = moment(); // a day inside the period shown
+    let currentPeriod = 'month'; // month, cutoff, week, quarter, year or range (rangeFrom/rangeTo)
+    let syncEvents = null; // EventSource of the sync job being followed
+    let syncJobId = null;
+    let currentSite = ''; // '' = all sites
+    let currentTeam = ''; // '' = all teams
+    let unregisteredDevices = []; // from the last presence report
+    let activeEmployees = []; // choices for claiming a device
+    let currentTab = 'employees'; // employees, unregistered or occupancy
 
     const elements = {
         monthDisplay: $('#monthDisplay'),
         prevMonthBtn: $('#prevMonth'),
         nextMonthBtn: $('#nextMonth'),
+        periodSelect: $('#periodSelect'),
+        rangeInputs: $('#rangeInputs'),
+        rangeFrom: $('#rangeFrom'),
+        rangeTo: $('#rangeTo'),
         reportContainer: $('#reportContainer'),
         searchBox: $('#searchBox'),
         statusBar: $('#statusBar'),
         syncButton: $('#syncButton'),
+        lastSynced: $('#lastSynced'),
+        syncProgress: $('#syncProgress'),
+        syncProgressBar: $('#syncProgressBar'),
+        syncProgressText: $('#syncProgressText'),
+        cancelSyncButton: $('#cancelSyncButton'),
+        importForm: $('#importForm'),
+        importResult: $('#importResult'),
+        importSubmit: $('#importSubmit'),
+        siteSelect: $('#siteSelect'),
+        teamSelect: $('#teamSelect'),
+        importSite: $('#importSite'),
         exportButton: $('#exportButton'), // <-- Add the new button element
+        exportPdfButton: $('#exportPdfButton'),
+        exportWeekends: $('#exportWeekends'),
         employeeTab: $('#employee-tab'),
-        unregisteredTab: $('#unregistered-tab')
+        unregisteredTab: $('#unregistered-tab'),
+        unregisteredContainer: $('#unregisteredContainer'),
+        unregisteredList: $('#unregisteredList'),
+        occupancyTab: $('#occupancy-tab'),
+        occupancyContainer: $('#occupancyContainer'),
+        occupancyContent: $('#occupancyContent'),
+        occupancyBucket: $('#occupancyBucket'),
+        mergeSuggestions: $('#mergeSuggestions')
     };
 
     // --- INITIALIZATION ---
-    loadReportFor(currentMoment);
+    loadSites();
+    loadTeams();
+    loadEmployees();
+    loadReport();
+    refreshSyncStatus();
+    setInterval(refreshSyncStatus, 60 * 1000);
     
     // --- EVENT LISTENERS ---
     
     // Add this new event listener for the export button
     elements.exportButton.on('click', function() {
-        const year = currentMoment.year();
-        const month = currentMoment.format('MM');
-        const url = `${API_URL}/api/export-excel?year=${year}&month=${month}`;
+        const weekends = elements.exportWeekends.is(':checked') ? '&includeWeekends=true' : '';
+        const url = `${API_URL}/api/export-excel?${periodQuery()}${siteQuery()}${teamQuery()}${weekends}`;
         
         // Trigger the download by navigating to the URL
         window.location.href = url;
         elements.statusBar.text('Preparing Excel download...');
     });
 
+    elements.exportPdfButton.on('click', function() {
+        const weekends = elements.exportWeekends.is(':checked') ? '&includeWeekends=true' : '';
+        window.location.href = `${API_URL}/api/export-pdf?${periodQuery()}${siteQuery()}${teamQuery()}${weekends}`;
+        elements.statusBar.text('Preparing PDF download...');
+    });
+
     // ... The rest of your app.js file remains unchanged ...
 
+    elements.siteSelect.on('change', function() {
+        currentSite = $(this).val();
+        loadReport();
+    });
+
+    elements.teamSelect.on('change', function() {
+        currentTeam = $(this).val();
+        loadReport();
+    });
+
     elements.prevMonthBtn.on('click', () => {
-        currentMoment.subtract(1, 'month');
-        loadReportFor(currentMoment);
+        stepPeriod(-1);
+        loadReport();
     });
 
     elements.nextMonthBtn.on('click', () => {
-        currentMoment.add(1, 'month');
-        loadReportFor(currentMoment);
+        stepPeriod(1);
+        loadReport();
+    });
+
+    elements.periodSelect.on('change', function() {
+        currentPeriod = $(this).val();
+        const isRange = currentPeriod === 'range';
+        elements.rangeInputs.toggleClass('d-none', !isRange);
+        elements.prevMonthBtn.add(elements.nextMonthBtn).add(elements.monthDisplay).toggleClass('d-none', isRange);
+        if (isRange && !elements.rangeFrom.val()) {
+            elements.rangeFrom.val(currentMoment.clone().startOf('month').format('YYYY-MM-DD'));
+            elements.rangeTo.val(currentMoment.clone().endOf('month').format('YYYY-MM-DD'));
+        }
+        loadReport();
+    });
+
+    elements.rangeFrom.add(elements.rangeTo).on('change', function() {
+        if (elements.rangeFrom.val() && elements.rangeTo.val()) loadReport();
     });
 
     elements.searchBox.on('keyup', function() {
@@ -53,51 +121,347 @@ $(document).ready(function() {
                 $(this).hide();
             }
         });
+        $('.unregistered-row').each(function() {
+            const text = $(this).children('td').slice(0, 2).text().toLowerCase();
+            $(this).toggle(text.includes(searchTerm));
+        });
+    });
+
+    elements.employeeTab.on('click', function(e) {
+        e.preventDefault();
+        showTab('employees');
+    });
+
+    elements.unregisteredTab.on('click', function(e) {
+        e.preventDefault();
+        showTab('unregistered');
     });
 
+    elements.occupancyTab.on('click', function(e) {
+        e.preventDefault();
+        showTab('occupancy');
+    });
+
+    elements.occupancyBucket.on('change', loadOccupancy);
+
+    // Claim an unregistered device for an employee
+    elements.unregisteredContainer.on('click', '.assign-device', async function() {
+        const $row = $(this).closest('.unregistered-row');
+        const mac = $row.data('mac');
+        let employeeId = $row.find('.assign-employee').val();
+        if (!employeeId) return;
+
+        try {
+            if (employeeId === 'new') {
+                const displayName = window.prompt('Name of the new employee as it should appear in reports (e.g. DELA CRUZ, JUAN):');
+                if (!displayName || !displayName.trim()) return;
+                const created = await postJson('/api/employees', { display_name: displayName.trim() });
+                employeeId = created.id;
+                await loadEmployees();
+            }
+            await postJson('/api/devices', { mac, employee_id: Number(employeeId) });
+            elements.statusBar.text(`Device ${mac} assigned.`);
+            loadReport();
+        } catch (error) {
+            alert(`Could not assign the device: ${error.message}`);
+        }
+    });
+
+    // Confirm or dismiss a suggested private-MAC merge
+    elements.mergeSuggestions.on('click', '.merge-action', async function() {
+        const $row = $(this).closest('.merge-row');
+        const payload = { mac: $row.data('mac'), employee_id: $row.data('employee-id') };
+        const confirmMerge = $(this).data('action') === 'confirm';
+        try {
+            if (confirmMerge) {
+                await postJson('/api/mac-merges', { ...payload, alias_of: $row.data('alias-of') || undefined });
+                elements.statusBar.text(`Device ${payload.mac} linked.`);
+            } else {
+                await postJson('/api/mac-merges/reject', payload);
+            }
+            loadReport();
+        } catch (error) {
+            alert(`Could not update the suggestion: ${error.message}`);
+        }
+    });
+
+    // Mark an unregistered device as infrastructure or guest so it is no longer listed
+    elements.unregisteredContainer.on('click', '.ignore-device', async function() {
+        const mac = $(this).closest('.unregistered-row').data('mac');
+        const category = $(this).data('category');
+        try {
+            await postJson('/api/ignored-devices', { mac, category });
+            elements.statusBar.text(`Device ${mac} marked as ${category}.`);
+            loadReport();
+        } catch (error) {
+            alert(`Could not update the device: ${error.message}`);
+        }
+    });
+
+    const syncButtonHtml = elements.syncButton.html();
+
     elements.syncButton.on('click', async function() {
-        const $btn = $(this);
-        const originalText = $btn.html();
-        $btn.prop('disabled', true).html('<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>Syncing...');
-        elements.statusBar.text('Syncing with source API... This may take a minute.');
+        elements.syncButton.prop('disabled', true);
+        elements.statusBar.text('Starting sync...');
 
         try {
-            const response = await fetch(`${API_URL}/api/sync`, { method: 'POST' });
-            if (!response.ok) throw new Error('Sync failed');
+            // Sync only the picked site, or every site when "All sites" is selected
+            const response = await fetch(`${API_URL}/api/sync`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(currentSite ? { site: currentSite } : {})
+            });
             const result = await response.json();
-            elements.statusBar.text(result.message);
-            // Reload the current month's data after sync
-            loadReportFor(currentMoment);
+            if (response.status === 409 && result.job_id) {
+                // Someone (or the scheduler) already started one: follow that job instead
+                elements.statusBar.text(result.error);
+                watchSyncJob(result.job_id);
+                return;
+            }
+            if (!response.ok) throw new Error(result.error || 'Sync failed');
+            watchSyncJob(result.job.id);
         } catch (error) {
             elements.statusBar.text('Error: Sync failed. Check the server console.');
+            elements.syncButton.prop('disabled', false);
             console.error('Sync Error:', error);
-        } finally {
-            $btn.prop('disabled', false).html(originalText);
         }
     });
+
+    elements.cancelSyncButton.on('click', async function() {
+        if (!syncJobId) return;
+        elements.cancelSyncButton.prop('disabled', true);
+        try {
+            await fetch(`${API_URL}/api/sync/jobs/${syncJobId}`, { method: 'DELETE' });
+            elements.syncProgressText.text('Cancelling...');
+        } catch (error) {
+            console.error('Cancel Sync Error:', error);
+        }
+    });
+
+    // Follow a background sync job over Server-Sent Events and drive the progress bar
+    function watchSyncJob(jobId) {
+        if (syncEvents) return;
+        syncJobId = jobId;
+        syncEvents = new EventSource(`${API_URL}/api/sync/jobs/${jobId}/events`);
+        elements.syncButton.prop('disabled', true).html('<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>Syncing...');
+        elements.cancelSyncButton.prop('disabled', false);
+        elements.syncProgress.removeClass('d-none');
+        updateSyncProgress({ status: 'running', progress: { total_days: 0, days_done: 0, records: 0, failures: [] } });
+
+        syncEvents.addEventListener('progress', (event) => updateSyncProgress(JSON.parse(event.data)));
+        syncEvents.addEventListener('done', (event) => {
+            const job = JSON.parse(event.data);
+            stopWatchingSync();
+            if (job.status === 'failed') {
+                elements.statusBar.text(`Error: Sync failed (${job.error}). Check the server console.`);
+            } else {
+                const total = (key) => job.runs.reduce((sum, run) => sum + (run[key] || 0), 0);
+                const failedDays = job.runs.reduce((sum, run) => sum + run.errors.length, 0);
+                let message = job.status === 'cancelled' ? 'Sync cancelled.' : 'Sync complete.';
+                message += ` Checked ${total('days_synced')} days`;
+                if (job.runs.length > 1) message += ` across ${job.runs.length} sites`;
+                message += `, ${total('records')} records received (${total('inserted')} new, ${total('updated')} updated, ${total('unchanged')} unchanged).`;
+                if (failedDays) message += ` ${failedDays} day(s) failed.`;
+                elements.statusBar.text(message);
+            }
+            // Reload the current month's data after sync
+            loadReport();
+            refreshSyncStatus();
+        });
+        syncEvents.onerror = () => {
+            // The job is gone (server restarted or job expired); stop instead of reconnecting forever
+            if (syncEvents && syncEvents.readyState === EventSource.CLOSED) {
+                stopWatchingSync();
+                refreshSyncStatus();
+            }
+        };
+    }
+
+    function stopWatchingSync() {
+        if (syncEvents) syncEvents.close();
+        syncEvents = null;
+        syncJobId = null;
+        elements.syncProgress.addClass('d-none');
+        elements.syncButton.prop('disabled', false).html(syncButtonHtml);
+    }
+
+    function updateSyncProgress(job) {
+        const { total_days, days_done, current_day, records, failures, site, site_count } = job.progress;
+        const percent = total_days ? Math.round((days_done / total_days) * 100) : 0;
+        elements.syncProgressBar.css('width', `${percent}%`).text(`${percent}%`);
+        elements.syncProgressBar.toggleClass('bg-warning', failures.length > 0);
+        const sitePrefix = site_count > 1 && site ? `${site}: ` : '';
+        let text = job.status === 'cancelling' ? 'Cancelling...' : `Syncing ${sitePrefix}${current_day || '...'}`;
+        text += ` — ${days_done}/${total_days} days, ${records} records`;
+        if (failures.length) text += `, ${failures.length} failed`;
+        elements.syncProgressText.text(text);
+        elements.statusBar.text('Syncing with source API...');
+    }
     
-    // --- The rest of the functions (loadReportFor, renderReport, etc.) remain the same ---
-    async function loadReportFor(date) {
-        elements.monthDisplay.text(date.format('MMMM YYYY'));
-        elements.statusBar.text(`Loading data for ${date.format('MMMM YYYY')}...`);
+    elements.importForm.on('submit', async function(event) {
+        event.preventDefault();
+        const formData = new FormData();
+        formData.append('file', $('#importFile')[0].files[0]);
+        ['format', 'timestampFormat', 'delimiter'].forEach(field => {
+            const value = elements.importForm.find(`[name="${field}"]`).val().trim();
+            if (value) formData.append(field, value);
+        });
+        const mapping = {};
+        elements.importForm.find('.import-mapping').each(function() {
+            const column = $(this).val().trim();
+            if (column) mapping[$(this).data('field')] = column;
+        });
+        formData.append('mapping', JSON.stringify(mapping));
+        formData.append('dryRun', $('#importDryRun').is(':checked') ? 'true' : 'false');
+        if (elements.importSite.val()) formData.append('site', elements.importSite.val());
+
+        elements.importSubmit.prop('disabled', true);
+        elements.importResult.html('<div class="text-muted">Importing...</div>');
+        try {
+            const response = await fetch(`${API_URL}/api/import`, { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Import failed');
+            elements.importResult.html(renderImportResult(result));
+            if (!result.dry_run) loadReport();
+        } catch (error) {
+            elements.importResult.html(`<div class="alert alert-danger mb-0">${escapeHtml(error.message)}</div>`);
+        } finally {
+            elements.importSubmit.prop('disabled', false);
+        }
+    });
+
+    function renderImportResult(result) {
+        const { summary } = result;
+        const heading = result.dry_run ? 'Validation finished (nothing saved).' : 'Import finished.';
+        let html = `<div class="alert ${summary.invalid ? 'alert-warning' : 'alert-success'}">
+            <b>${heading}</b> ${summary.rows} rows: ${summary.valid} valid, ${summary.invalid} invalid.`;
+        if (!result.dry_run) html += ` ${summary.inserted} new, ${summary.updated} updated, ${summary.unchanged} already stored.`;
+        html += '</div>';
+        if (result.errors.length) {
+            const rows = result.errors.map(e => `<tr><td>${e.row}</td><td>${e.errors.map(escapeHtml).join('<br>')}</td></tr>`).join('');
+            html += `<div class="import-errors"><table class="table table-sm table-striped mb-0">
+                <thead><tr><th>Row</th><th>Problem</th></tr></thead><tbody>${rows}</tbody></table></div>`;
+            if (result.errors_truncated) html += `<small class="text-muted">Only the first ${result.errors.length} problems are shown.</small>`;
+        }
+        return html;
+    }
+
+    // Escapes text for element content and quoted attribute values
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    function escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Fill the site pickers. They stay hidden when only one site is configured.
+    async function loadSites() {
+        try {
+            const response = await fetch(`${API_URL}/api/sites`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            const { sites, default_site } = await response.json();
+            if (sites.length < 2) return;
+            sites.forEach(site => {
+                elements.siteSelect.append($('<option>').val(site.id).text(site.name));
+                elements.importSite.append($('<option>').val(site.id).text(site.name));
+            });
+            elements.importSite.val(default_site);
+            elements.siteSelect.removeClass('d-none');
+            $('#importSiteGroup').removeClass('d-none');
+        } catch (error) {
+            console.error('Load Sites Error:', error);
+        }
+    }
+
+    function siteQuery() {
+        return currentSite ? `&site=${encodeURIComponent(currentSite)}` : '';
+    }
+
+    // Report period of the current selection, as query parameters (see resolveReportPeriod on
+    // the server). Payroll cutoffs are the 1st-15th and the 16th to the end of the month.
+    function periodQuery() {
+        const m = currentMoment;
+        switch (currentPeriod) {
+            case 'cutoff': return `period=cutoff&year=${m.year()}&month=${m.month() + 1}&cutoff=${m.date() <= 15 ? 1 : 2}`;
+            case 'week': return `period=week&year=${m.isoWeekYear()}&week=${m.isoWeek()}`;
+            case 'quarter': return `period=quarter&year=${m.year()}&quarter=${m.quarter()}`;
+            case 'year': return `period=year&year=${m.year()}`;
+            case 'range': return `from=${elements.rangeFrom.val()}&to=${elements.rangeTo.val()}`;
+            default: return `year=${m.year()}&month=${m.month() + 1}`;
+        }
+    }
+
+    // Move currentMoment to the previous (-1) or next (1) period of the selected kind
+    function stepPeriod(direction) {
+        if (currentPeriod !== 'cutoff') {
+            currentMoment.add(direction, currentPeriod);
+            return;
+        }
+        const firstHalf = currentMoment.date() <= 15;
+        if (direction > 0) currentMoment = firstHalf ? currentMoment.date(16) : currentMoment.add(1, 'month').date(1);
+        else currentMoment = firstHalf ? currentMoment.subtract(1, 'month').date(16) : currentMoment.date(1);
+    }
+
+    // Fill the team picker. It stays hidden until a team exists.
+    async function loadTeams() {
+        try {
+            const response = await fetch(`${API_URL}/api/teams`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            const { teams } = await response.json();
+            if (!teams.length) return;
+            teams.forEach(team => elements.teamSelect.append($('<option>').val(team.id).text(team.name)));
+            elements.teamSelect.removeClass('d-none');
+        } catch (error) {
+            console.error('Load Teams Error:', error);
+        }
+    }
+
+    function teamQuery() {
+        return currentTeam ? `&team=${encodeURIComponent(currentTeam)}` : '';
+    }
+
+    // Show "Last synced N minutes ago" in the header, with the next scheduled run as a tooltip
+    async function refreshSyncStatus() {
+        try {
+            const response = await fetch(`${API_URL}/api/sync/status`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            const status = await response.json();
+            let text = status.last_synced_at ? `Last synced ${moment(status.last_synced_at).fromNow()}` : 'Never synced';
+            if (status.running) text += ' (sync running…)';
+            if (status.active_job_id) watchSyncJob(status.active_job_id);
+            const title = status.next_run_at ? `Next automatic sync ${moment(status.next_run_at).format('MMM D, h:mm A')}` : 'Automatic sync is off';
+            elements.lastSynced.text(text).attr('title', title);
+        } catch (error) {
+            elements.lastSynced.text('');
+            console.error('Sync Status Error:', error);
+        }
+    }
+
+    // --- The rest of the functions (loadReport, renderReport, etc.) remain the same ---
+    async function loadReport() {
+        elements.statusBar.text('Loading data...');
         elements.reportContainer.html('<div class="text-center"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>');
-        
-        const year = date.year();
-        const month = date.format('MM');
 
         try {
             // Using the simplified /api/presence-report endpoint
-            const response = await fetch(`${API_URL}/api/presence-report?year=${year}&month=${month}`);
+            const response = await fetch(`${API_URL}/api/presence-report?${periodQuery()}${siteQuery()}${teamQuery()}`);
             if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
             const data = await response.json();
+            elements.monthDisplay.text(data.period.label);
             
             // Re-map name for display in the calendar view
             const displayData = { 
-                employees: data.employees.map(e => ({...e, name: e.name.split(', ').reverse().join(' ')}))
+                employees: data.employees.map(e => ({...e, name: e.name.split(', ').reverse().join(' ')})),
+                teams: data.teams || [],
+                calendar: new Map((data.calendar || []).map(entry => [entry.date, entry])),
+                period: data.period,
+                workingDays: data.working_days
             };
 
-            renderReport(displayData, date);
-            elements.statusBar.text(`Displaying ${data.employees.length} employees for ${date.format('MMMM YYYY')}.`);
+            renderReport(displayData);
+            unregisteredDevices = data.unregistered || [];
+            renderUnregistered();
+            loadMergeSuggestions();
+            if (currentTab === 'occupancy') loadOccupancy();
+            elements.statusBar.text(`Displaying ${data.employees.length} employees for ${data.period.label}.`);
         } catch (error) {
             elements.statusBar.text('Error loading data.');
             elements.reportContainer.html('<div class="alert alert-danger">Could not load report data. Is the backend server running?</div>');
@@ -105,72 +469,330 @@ $(document).ready(function() {
         }
     }
     
-    function renderReport(data, date) {
+    function renderReport(data) {
         elements.reportContainer.empty();
         elements.employeeTab.find('.badge').text(data.employees.length);
         
         if (data.employees.length === 0) {
-            elements.reportContainer.html('<div class="alert alert-info">No employee presence data found for this month. You may need to Sync Data.</div>');
+            elements.reportContainer.html('<div class="alert alert-info">No employee presence data found for this period. You may need to Sync Data.</div>');
+            return;
+        }
+
+        // Without teams the cards are one alphabetical list; with teams, one heading per team
+        if (!data.teams.some(team => team.team_id !== null)) {
+            data.employees.forEach(employee => {
+                const card = createEmployeeCard(employee, data);
+                elements.reportContainer.append(card);
+            });
             return;
         }
 
-        data.employees.forEach(employee => {
-            const card = createEmployeeCard(employee, date);
-            elements.reportContainer.append(card);
+        data.teams.forEach(team => {
+            const members = data.employees.filter(employee => (employee.team_id || null) === team.team_id);
+            const { headcount, attendance_rate } = team.summary;
+            elements.reportContainer.append(`
+                <div class="col-12 team-heading">
+                    <h5>${escapeHtml(team.team)}</h5>
+                    <small class="text-muted">${headcount} ${headcount === 1 ? 'person' : 'people'} · ${(attendance_rate * 100).toFixed(1)}% average attendance</small>
+                </div>
+            `);
+            members.forEach(employee => elements.reportContainer.append(createEmployeeCard(employee, data)));
         });
     }
 
-    function createEmployeeCard(employee, date) {
-        const workingDays = getWorkingDaysInMonth(date);
+    function showTab(tab) {
+        currentTab = tab;
+        elements.employeeTab.toggleClass('active', tab === 'employees');
+        elements.unregisteredTab.toggleClass('active', tab === 'unregistered');
+        elements.occupancyTab.toggleClass('active', tab === 'occupancy');
+        elements.reportContainer.toggleClass('d-none', tab !== 'employees');
+        elements.unregisteredContainer.toggleClass('d-none', tab !== 'unregistered');
+        elements.occupancyContainer.toggleClass('d-none', tab !== 'occupancy');
+        if (tab === 'occupancy') loadOccupancy();
+    }
+
+    // Headcount over the selected period: an hour-by-weekday heatmap and each day's peak
+    async function loadOccupancy() {
+        elements.occupancyContent.html('<div class="text-center"><div class="spinner-border text-primary" role="status"><span class="visually-hidden">Loading...</span></div></div>');
+        try {
+            const response = await fetch(`${API_URL}/api/occupancy?${periodQuery()}${siteQuery()}${teamQuery()}&bucket=${elements.occupancyBucket.val()}`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            renderOccupancy(await response.json());
+        } catch (error) {
+            elements.occupancyContent.html('<div class="alert alert-danger">Could not load occupancy data.</div>');
+            console.error('Load Occupancy Error:', error);
+        }
+    }
+
+    function renderOccupancy(data) {
+        if (!data.people) {
+            elements.occupancyContent.html('<div class="alert alert-info">No one was seen in this period.</div>');
+            return;
+        }
+
+        // Heatmap: one row per weekday in the period, one column per hour, shaded by the average
+        const maxAverage = Math.max(...data.heatmap.map(cell => cell.average)) || 1;
+        const weekdays = [...new Set(data.heatmap.map(cell => cell.weekday))];
+        const hours = Array.from({ length: 24 }, (_, hour) => hour);
+        const headerCells = hours.map(hour => `<th class="text-center">${String(hour).padStart(2, '0')}</th>`).join('');
+        const heatmapRows = weekdays.map(weekday => {
+            const dayName = moment().isoWeekday(weekday).format('ddd');
+            const cells = data.heatmap.filter(cell => cell.weekday === weekday).map(cell => {
+                const title = `${dayName} ${String(cell.hour).padStart(2, '0')}:00 · average ${cell.average}, highest ${cell.max}`;
+                const alpha = (cell.average / maxAverage).toFixed(2);
+                const text = cell.average ? Math.round(cell.average) : '';
+                return `<td class="occupancy-cell${alpha > 0.6 ? ' text-white' : ''}" style="background-color: rgba(var(--bs-primary-rgb), ${alpha});" title="${title}">${text}</td>`;
+            }).join('');
+            return `<tr><th>${dayName}</th>${cells}</tr>`;
+        }).join('');
+
+        // Peaks: one bar per day, scaled to the busiest day
+        const maxPeak = Math.max(...data.peaks.map(day => day.headcount)) || 1;
+        const peakRows = data.peaks.map(day => `
+            <tr>
+                <td class="text-nowrap">${moment(day.date).format('ddd, MMM D')}</td>
+                <td class="text-center">${day.headcount}</td>
+                <td class="text-nowrap">${day.at ? moment(day.at, 'HH:mm').format('h:mm A') : '—'}</td>
+                <td class="w-100"><div class="occupancy-bar" style="width: ${(day.headcount / maxPeak) * 100}%;"></div></td>
+            </tr>
+        `).join('');
+
+        elements.occupancyContent.html(`
+            <h6>Average headcount by hour</h6>
+            <p class="text-muted small mb-2">The highest headcount of each hour, averaged over the period's days with that weekday (${data.people} people seen).</p>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm table-bordered occupancy-heatmap">
+                    <thead><tr><th></th>${headerCells}</tr></thead>
+                    <tbody>${heatmapRows}</tbody>
+                </table>
+            </div>
+            <h6>Peak headcount per day</h6>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle occupancy-peaks">
+                    <thead><tr><th>Date</th><th class="text-center">Peak</th><th>At</th><th></th></tr></thead>
+                    <tbody>${peakRows}</tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    async function loadEmployees() {
+        try {
+            const response = await fetch(`${API_URL}/api/employees?active=true`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            activeEmployees = (await response.json()).employees;
+            renderUnregistered();
+        } catch (error) {
+            console.error('Load Employees Error:', error);
+        }
+    }
+
+    async function postJson(path, body) {
+        const response = await fetch(`${API_URL}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (response.status === 204) return null;
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || response.statusText);
+        return result;
+    }
+
+    // Randomized (private) MACs that look like a registered employee's device
+    async function loadMergeSuggestions() {
+        try {
+            const response = await fetch(`${API_URL}/api/mac-merges/suggestions`);
+            if (!response.ok) throw new Error(`Server error: ${response.statusText}`);
+            renderMergeSuggestions((await response.json()).suggestions);
+        } catch (error) {
+            elements.mergeSuggestions.empty();
+            console.error('Load Merge Suggestions Error:', error);
+        }
+    }
+
+    function renderMergeSuggestions(suggestions) {
+        if (!suggestions.length) {
+            elements.mergeSuggestions.empty();
+            return;
+        }
+        const signalNames = { name: 'name', device_type: 'device type', time_continuity: 'time continuity' };
+        const rows = suggestions.map(s => `
+            <tr class="merge-row" data-mac="${escapeHtml(s.mac)}" data-employee-id="${s.employee_id}" data-alias-of="${escapeHtml(s.alias_of || '')}">
+                <td class="font-monospace">${escapeHtml(s.mac)}</td>
+                <td>${escapeHtml(s.name || '')}</td>
+                <td>${escapeHtml(s.employee_name)}</td>
+                <td>${Object.keys(signalNames).filter(k => s.signals[k]).map(k => signalNames[k]).join(', ')}</td>
+                <td class="text-center">${Math.round(s.score * 100)}%</td>
+                <td class="text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary merge-action" data-action="confirm">Link</button>
+                    <button class="btn btn-sm btn-outline-secondary merge-action" data-action="reject">Dismiss</button>
+                </td>
+            </tr>
+        `).join('');
+
+        elements.mergeSuggestions.html(`
+            <h6 class="mt-2">Suggested private MAC links</h6>
+            <p class="text-muted small mb-2">These randomized MAC addresses look like devices of registered employees. Linking one counts all of its history for that employee.</p>
+            <div class="table-responsive">
+                <table class="table table-sm align-middle unregistered-table">
+                    <thead>
+                        <tr><th>MAC</th><th>Device name</th><th>Employee</th><th>Signals</th><th class="text-center">Score</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    function renderUnregistered() {
+        elements.unregisteredTab.find('.badge').text(unregisteredDevices.length);
+
+        if (unregisteredDevices.length === 0) {
+            elements.unregisteredList.html('<div class="alert alert-info">No unregistered devices in this period.</div>');
+            return;
+        }
+
+        const employeeOptions = activeEmployees
+            .map(e => `<option value="${e.id}">${escapeHtml(e.display_name)}</option>`)
+            .join('');
+        const formatSeen = (value) => value ? moment(value).format('MMM D, YYYY h:mm A') : '—';
+        const rows = unregisteredDevices.map(device => `
+            <tr class="unregistered-row" data-mac="${escapeHtml(device.mac)}">
+                <td class="font-monospace">${escapeHtml(device.mac)}${device.private_mac ? ' <span class="badge text-bg-light" title="Randomized (locally-administered) MAC">Private</span>' : ''}</td>
+                <td>${escapeHtml(device.name || '')}</td>
+                <td>${formatSeen(device.first_seen)}</td>
+                <td>${formatSeen(device.last_seen)}</td>
+                <td class="text-center">${device.days_seen}</td>
+                <td>
+                    <div class="input-group input-group-sm claim-actions">
+                        <select class="form-select assign-employee" aria-label="Employee">
+                            <option value="">Assign to…</option>
+                            ${employeeOptions}
+                            <option value="new">+ New employee…</option>
+                        </select>
+                        <button class="btn btn-outline-primary assign-device">Assign</button>
+                        <button class="btn btn-outline-secondary ignore-device" data-category="infrastructure">Infrastructure</button>
+                        <button class="btn btn-outline-secondary ignore-device" data-category="guest">Guest</button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+
+        elements.unregisteredList.html(`
+            <div class="table-responsive">
+                <table class="table table-sm align-middle unregistered-table">
+                    <thead>
+                        <tr><th>MAC</th><th>Device name</th><th>First seen</th><th>Last seen</th><th class="text-center">Days seen</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `);
+    }
+
+    // report: the displayed presence report (period, calendar, workingDays)
+    function createEmployeeCard(employee, report) {
+        const workingDays = report.workingDays;
         const presentCount = employee.presenceDates.length;
+        const partialCount = (employee.partialDates || []).length;
+        // Registered employees show their number/department; unregistered ones are matched by name
+        const meta = [employee.employee_number, employee.department].filter(Boolean).map(escapeHtml).join(' · ');
+
+        const leaveSummary = Object.entries(employee.leave_summary || {}).map(([type, days]) => `${type} ${days}`).join(' · ');
+        const compliance = employee.compliance ? complianceIndicator(employee.compliance) : '';
 
         const cardHtml = `
             <div class="col-md-6 col-lg-4">
-                <div class="employee-card" data-name="${employee.name}">
+                <div class="employee-card" data-name="${escapeHtml(employee.name)}" data-employee-id="${employee.employee_id || ''}">
                     <div class="employee-header">
                         <div class="employee-info">
-                            <h5>${employee.name}</h5>
+                            <h5>${escapeHtml(employee.name)}</h5>
+                            ${meta ? `<div class="employee-meta">${meta}</div>` : ''}
+                            ${leaveSummary ? `<div class="employee-meta">Leave: ${escapeHtml(leaveSummary)}</div>` : ''}
+                            ${compliance}
                         </div>
-                        <span class="badge rounded-pill text-bg-danger days-badge">${presentCount}/${workingDays} Days</span>
+                        <span class="badge rounded-pill text-bg-danger days-badge">${presentCount}/${workingDays} Days${partialCount ? ` <span class="partial-count">+${partialCount} partial</span>` : ''}</span>
                     </div>
-                    ${generateCalendar(date, employee.presenceDates)}
+                    ${generateCalendar(report.period, employee.presenceDates, report.calendar, employee.leaves || [], employee.partialDates || [])}
                 </div>
             </div>
         `;
         return cardHtml;
     }
     
-    function generateCalendar(date, presentDates) {
+    // Hybrid work policy line of a card: weeks met out of the weeks decided so far, green when
+    // none was missed; the tooltip lists each week
+    function complianceIndicator({ policy, totals, weeks }) {
+        const rules = [];
+        if (policy.min_days_per_week) rules.push(`${policy.min_days_per_week} days/week`);
+        if (policy.anchor_days.length) rules.push(policy.anchor_days.map(day => day.charAt(0).toUpperCase() + day.slice(1)).join('/'));
+        const decided = totals.pass + totals.fail;
+        const state = !decided ? 'secondary' : totals.fail ? 'danger' : 'success';
+        const statusText = { pass: 'met', fail: 'missed', pending: 'in progress' };
+        const title = weeks.map(week => `${week.week}: ${week.office_days}/${week.required_days} days, ${statusText[week.status]}${week.missed_anchor_days.length ? ` (missed ${week.missed_anchor_days.join(', ')})` : ''}`).join('\n');
+        return `
+            <div class="employee-meta compliance-indicator" title="${escapeHtml(title)}">
+                <span class="badge text-bg-${state}">${escapeHtml(rules.join(' · '))}</span>
+                ${[decided ? `${totals.pass}/${decided} weeks met` : '', totals.pending ? `${totals.pending} in progress` : ''].filter(Boolean).join(' · ')}
+            </div>
+        `;
+    }
+
+    // period: { from, to } of the presence report; the grid runs from `from` to `to`
+    // workCalendar: Map of date -> holiday/closure/working-day entry from the presence report
+    // leaves: the employee's leave days ({ date, type, half_day }) from the presence report
+    // partialDates: days they were seen, but not long enough to count as present
+    function generateCalendar(period, presentDates, workCalendar, leaves, partialDates) {
         let calendar = '<div class="calendar-grid">';
         const headers = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
         headers.forEach(h => calendar += `<div class="calendar-header">${h}</div>`);
 
-        const month = date.month();
-        const year = date.year();
-        const firstDayOfMonth = moment({year, month}).day();
-        const daysInMonth = date.daysInMonth();
-        const presentSet = new Set(presentDates.map(d => moment(d).date()));
+        const first = moment(period.from);
+        const last = moment(period.to);
+        const presentSet = new Set(presentDates);
+        const partialSet = new Set(partialDates);
+        const leavesByDate = new Map();
+        leaves.forEach(leave => leavesByDate.set(leave.date, [...(leavesByDate.get(leave.date) || []), leave]));
 
-        for (let i = 0; i < firstDayOfMonth; i++) {
+        for (let i = 0; i < first.day(); i++) {
             calendar += '<div class="calendar-day empty"></div>';
         }
 
-        for (let day = 1; day <= daysInMonth; day++) {
-            const currentDay = moment({year, month, day});
-            const dayOfWeek = currentDay.day();
+        for (const currentDay = first.clone(); currentDay.isSameOrBefore(last, 'day'); currentDay.add(1, 'day')) {
+            const day = currentDay.date();
             let classes = 'calendar-day';
 
             const dayStr = currentDay.format('YYYY-MM-DD');
-            const isPresent = presentSet.has(day);
+            const isPresent = presentSet.has(dayStr);
+            const isPartial = partialSet.has(dayStr);
+            const entry = workCalendar.get(dayStr);
+            const isHoliday = entry && entry.type !== 'working_day';
+            const dayLeaves = leavesByDate.get(dayStr) || []; // Up to two half days
+            const leave = dayLeaves[0];
             if (isPresent) {
                 classes += ' present';
-            } else if (dayOfWeek > 0 && dayOfWeek < 6) { // It's a weekday (Mon-Fri)
+                if (leave) classes += ' leave-marked'; // Half-day leave, or came in anyway
+            } else if (leave) {
+                classes += ` leave leave-${leave.type.toLowerCase()}`;
+            } else if (isPartial) {
+                classes += ' partial';
+            } else if (isHoliday) { // Holiday or office closure
+                classes += ' holiday';
+            } else if (isWorkingDay(currentDay, workCalendar)) {
                 classes += ' absent';
             } else { // It's a weekend
                 classes += ' weekend';
             }
-            const hoverAttr = isPresent ? ` data-hover="1" data-date="${dayStr}"` : '';
-            calendar += `<div class="${classes}"${hoverAttr} data-day="${day}">${day}</div>`;
+            if (isHoliday) classes += ' holiday-marked';
+            const hoverAttr = isPresent || isPartial ? ` data-hover="1" data-date="${dayStr}"` : '';
+            const leaveTitle = dayLeaves.map(l => `${l.type}${l.half_day ? ` (${l.half_day.toUpperCase()})` : ''}`).join(', ');
+            const title = [entry && entry.name, leaveTitle].filter(Boolean).join(' · ');
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            // In ranges that span months, the 1st shows the month's name instead
+            const monthStart = day === 1 && !currentDay.isSame(first, 'day');
+            if (monthStart) classes += ' month-start';
+            calendar += `<div class="${classes}"${hoverAttr}${titleAttr} data-day="${day}">${monthStart ? currentDay.format('MMM') : day}</div>`;
         }
 
         calendar += '</div>';
@@ -182,13 +804,15 @@ $(document).ready(function() {
 
     function attachHoverHandlers() {
         const container = elements.reportContainer;
-        container.off('mouseenter', '.calendar-day.present');
-        container.off('mouseleave', '.calendar-day.present');
-        container.on('mouseenter', '.calendar-day.present', async function() {
+        container.off('mouseenter', '.calendar-day[data-hover]');
+        container.off('mouseleave', '.calendar-day[data-hover]');
+        container.on('mouseenter', '.calendar-day[data-hover]', async function() {
             const $el = $(this);
             const date = $el.data('date');
             const $card = $el.closest('.employee-card');
             const employeeName = $card.data('name');
+            const employeeId = $card.data('employee-id');
+            const who = employeeId ? `employeeId=${employeeId}` : `name=${encodeURIComponent(employeeName)}`;
 
             // Create tooltip element
             let $tip = $el.find('.hover-tip');
@@ -199,37 +823,32 @@ $(document).ready(function() {
             $tip.text('Loading…').addClass('visible');
 
             try {
-                const resp = await fetch(`${API_URL}/api/day-sessions?name=${encodeURIComponent(employeeName)}&date=${encodeURIComponent(date)}`);
+                const resp = await fetch(`${API_URL}/api/day-sessions?${who}&date=${encodeURIComponent(date)}${siteQuery()}`);
                 if (!resp.ok) throw new Error('Failed');
                 const data = await resp.json();
                 if (!data.sessions || data.sessions.length === 0) {
                     $tip.html('<div class="tip-title">No sessions</div>');
                 } else {
                     const items = data.sessions.map(s => `<div class="tip-row"><span>In</span><b>${s.in_time}</b></div><div class="tip-row"><span>Out</span><b>${s.out_time}</b></div>`).join('');
-                    $tip.html(`<div class="tip-title">${employeeName}</div><div class="tip-sub">${date}</div>${items}<div class="tip-total">Total: ${data.total_hours}h</div>`);
+                    $tip.html(`<div class="tip-title">${escapeHtml(employeeName)}</div><div class="tip-sub">${date}</div>${items}<div class="tip-total">Total: ${data.total_hours}h</div>`);
                 }
             } catch (e) {
                 $tip.text('Error loading');
             }
         });
-        container.on('mouseleave', '.calendar-day.present', function() {
+        container.on('mouseleave', '.calendar-day[data-hover]', function() {
             const $tip = $(this).find('.hover-tip');
             $tip.removeClass('visible');
             setTimeout(() => $tip.remove(), 150);
         });
     }
 
-    function getWorkingDaysInMonth(date) {
-        const month = date.month();
-        const year = date.year();
-        let count = 0;
-        for (let day = 1; day <= date.daysInMonth(); day++) {
-            const dayOfWeek = moment({year, month, day}).day();
-            if (dayOfWeek > 0 && dayOfWeek < 6) { // Mon-Fri
-                count++;
-            }
-        }
-        return count;
+    // Mon-Fri unless the work calendar says otherwise (holidays, closures, working Saturdays)
+    function isWorkingDay(day, workCalendar) {
+        const entry = workCalendar.get(day.format('YYYY-MM-DD'));
+        if (entry) return entry.type === 'working_day';
+        const dayOfWeek = day.day();
+        return dayOfWeek > 0 && dayOfWeek < 6;
     }
 
 });
\ No newline at end of file
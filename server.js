@@ -3,34 +3,348 @@ const sqlite3 = require('sqlite3').verbose();
 const fetch = require('node-fetch');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
 const moment = require('moment'); // We'll use moment here too for consistency
+require('moment-timezone'); // Adds moment.tz() to the same moment instance
+const cronParser = require('cron-parser');
+const multer = require('multer');
+const { parse: parseCsv } = require('csv-parse/sync');
+const {
+    CREATE_RULES_TABLE_SQL,
+    ENABLED_RULES_SQL,
+    normalizeName,
+    deviceSuffix,
+    isLocallyAdministeredMac,
+    parseRuleInput,
+    compileRules,
+    classifyDevice
+} = require('./lib/classification');
+const {
+    OFFICE_TIMEZONE,
+    WORKDAY_START,
+    STORED_TIMESTAMP_GLOB,
+    normalizeTimestamp,
+    parseStoredTimestamp,
+    toLocalISOString,
+    listWorkdays,
+    clampIntervalToDay
+} = require('./lib/timezone');
 
 const app = express();
 const PORT = 3000;
 const DB_FILE = 'database.sqlite';
-const SOURCE_API_BASE_URL = 'http://10.208.103.250:5000/api/logs/';
+const SOURCE_API_BASE_URL = 'http://10.208.103.250:5000/api/logs/'; // Source of the default site when sites.json is absent
+const SITES_FILE = path.join(__dirname, 'sites.json');
+const INITIAL_SYNC_DAYS = 60; // Days fetched when no checkpoint exists yet
+const SYNC_RECHECK_DAYS = 2; // Days before the checkpoint that are fetched again
+const MAX_SYNC_RANGE_DAYS = 366; // Upper bound for explicit backfill ranges
+const MAX_REPORT_RANGE_DAYS = 366; // Longest from/to range a report covers
+const MAX_CALENDAR_EVENT_DAYS = 31; // Longest event the .ics import turns into calendar days
+const SOURCE_FETCH_TIMEOUT_MS = 15000; // Per-request timeout for the source API
+const SOURCE_FETCH_RETRIES = 3; // Extra attempts per day after the first one fails
+const SOURCE_RETRY_BASE_DELAY_MS = 1000; // Backoff between attempts: 1s, 2s, 4s, ...
+const SOURCE_CIRCUIT_FAILURE_THRESHOLD = 5; // Consecutive failures before we stop calling the source
+const SOURCE_CIRCUIT_COOLDOWN_MS = 5 * 60 * 1000; // How long the circuit stays open before one trial request
+const FAILED_DAY_MAX_ATTEMPTS = 8; // Failed days are retried automatically up to this many times
+const FAILED_DAY_RETRY_BASE_MINUTES = 15; // Queue backoff: 15m, 30m, 1h, ... capped below
+const FAILED_DAY_RETRY_MAX_MINUTES = 12 * 60;
+const FAILED_DAY_CHECK_INTERVAL_MS = 5 * 60 * 1000; // How often the queue is checked for due days
+const IMPORT_MAX_FILE_BYTES = 20 * 1024 * 1024; // Upload limit for /api/import
+const IMPORT_MAX_REPORTED_ERRORS = 500; // Row errors returned in one import response
+const PDF_EMPLOYEES_PER_PAGE = Number(process.env.PDF_EMPLOYEES_PER_PAGE) || 25; // Grid rows per page of the PDF export
+// Automatic sync: a cron expression (e.g. '0 6,12,18 * * *') takes precedence over the interval.
+// Set SYNC_INTERVAL_MINUTES=0 and leave SYNC_CRON empty to disable the scheduler.
+const SYNC_CRON = process.env.SYNC_CRON || '';
+const SYNC_INTERVAL_MINUTES = process.env.SYNC_INTERVAL_MINUTES !== undefined ? Number(process.env.SYNC_INTERVAL_MINUTES) : 60;
+// When a day counts as present: the person's sessions that day, merged like /api/day-sessions
+// does, must add up to PRESENCE_MIN_HOURS and number at least PRESENCE_MIN_SESSIONS. A day that
+// falls short but reaches PRESENCE_PARTIAL_MIN_HOURS is 'partial'. The defaults count any sighting.
+const PRESENCE_RULE = {
+    min_hours: Number(process.env.PRESENCE_MIN_HOURS || 0),
+    min_sessions: Number(process.env.PRESENCE_MIN_SESSIONS || 1),
+    partial_min_hours: process.env.PRESENCE_PARTIAL_MIN_HOURS !== undefined ? Number(process.env.PRESENCE_PARTIAL_MIN_HOURS) : null,
+    gap_minutes: 30
+};
+
+// --- Sites ---
+// Each office has its own source API and time zone. They are configured in sites.json
+// (see sites.example.json); without that file a single Davao site is used. Sites without a
+// time zone use the office time zone (OFFICE_TIMEZONE, default Asia/Manila).
+const SITES = loadSites();
+const DEFAULT_SITE_ID = SITES[0].id; // Logs stored before sites existed belong to this one
+
+function loadSites() {
+    if (!moment.tz.zone(OFFICE_TIMEZONE)) throw new Error(`OFFICE_TIMEZONE '${OFFICE_TIMEZONE}' is not a known time zone.`);
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(WORKDAY_START)) throw new Error(`WORKDAY_START '${WORKDAY_START}' must be an HH:mm time.`);
+    if (!fs.existsSync(SITES_FILE)) {
+        return [{ id: 'davao', name: 'Davao Office', sourceUrl: SOURCE_API_BASE_URL, timezone: OFFICE_TIMEZONE }];
+    }
+    const sites = JSON.parse(fs.readFileSync(SITES_FILE, 'utf8'));
+    if (!Array.isArray(sites) || !sites.length) {
+        throw new Error('sites.json must contain a non-empty array of sites.');
+    }
+    const seen = new Set();
+    return sites.map((site, index) => {
+        if (!site || !/^[a-z0-9_-]+$/i.test(site.id || '')) {
+            throw new Error(`sites.json: site #${index + 1} needs an id made of letters, digits, '-' or '_'.`);
+        }
+        if (seen.has(site.id)) throw new Error(`sites.json: duplicate site id '${site.id}'.`);
+        seen.add(site.id);
+        if (!site.sourceUrl) throw new Error(`sites.json: site '${site.id}' has no sourceUrl.`);
+        const timezone = site.timezone || OFFICE_TIMEZONE;
+        if (!moment.tz.zone(timezone)) throw new Error(`sites.json: site '${site.id}' has an unknown timezone '${timezone}'.`);
+        return { id: site.id, name: site.name || site.id, sourceUrl: site.sourceUrl, timezone };
+    });
+}
+
+function getSite(id) {
+    return SITES.find(site => site.id === id) || null;
+}
+
+// Time zone log timestamps of a site are stored in (rows of removed sites: the office zone)
+function siteTimezone(id) {
+    const site = getSite(id);
+    return site ? site.timezone : OFFICE_TIMEZONE;
+}
 
 // --- Database Setup ---
 const db = new sqlite3.Database(DB_FILE, (err) => {
-    if (err) {
-        console.error('Error opening database:', err.message);
-    } else {
-        console.log('Connected to the SQLite database.');
-        db.run(`CREATE TABLE IF NOT EXISTS logs (Mac TEXT, Name TEXT, FirstSeen TEXT, LastSeen TEXT, UNIQUE(Mac, FirstSeen))`);
-    }
+    if (err) console.error('Error opening database:', err.message);
+    else console.log('Connected to the SQLite database.');
 });
 
+// Create the tables and run the migrations, one after another. The server starts listening
+// once this resolves, so no request sees a table or column before it exists.
+async function setupDatabase() {
+    await dbRun(`CREATE TABLE IF NOT EXISTS logs (Mac TEXT, Name TEXT, FirstSeen TEXT, LastSeen TEXT, UNIQUE(Mac, FirstSeen))`);
+    await ensureColumn('logs', 'site', 'TEXT');
+    await dbRun(`UPDATE logs SET site = ? WHERE site IS NULL`, [DEFAULT_SITE_ID]);
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_logs_site_first_seen ON logs (site, FirstSeen)`);
+    // Awaited so no request or sync writes while its transaction is open
+    await migrateLogTimestamps().catch(error => console.error('Could not normalize log timestamps:', error.message));
+    await dbRun(`CREATE TABLE IF NOT EXISTS sync_state (key TEXT PRIMARY KEY, value TEXT)`);
+    // The checkpoint used to be global; it now belongs to the default site
+    await dbRun(`UPDATE OR IGNORE sync_state SET key = ? WHERE key = 'lastCompletedDate'`, [checkpointKey(DEFAULT_SITE_ID)]);
+    await dbRun(`CREATE TABLE IF NOT EXISTS sync_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        status TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        start_date TEXT,
+        end_date TEXT,
+        days_synced INTEGER DEFAULT 0,
+        records INTEGER DEFAULT 0,
+        day_counts TEXT,
+        errors TEXT,
+        duration_ms INTEGER
+    )`);
+    await ensureColumn('sync_runs', 'triggered_by', `TEXT DEFAULT 'manual'`);
+    await ensureColumn('sync_runs', 'inserted', 'INTEGER DEFAULT 0');
+    await ensureColumn('sync_runs', 'updated', 'INTEGER DEFAULT 0');
+    await ensureColumn('sync_runs', 'unchanged', 'INTEGER DEFAULT 0');
+    await ensureColumn('sync_runs', 'site', 'TEXT');
+    await dbRun(`UPDATE sync_runs SET site = ? WHERE site IS NULL`, [DEFAULT_SITE_ID]);
+    await dbRun(CREATE_FAILED_DAYS_SQL);
+    await migrateFailedDaysToSites();
+    await dbRun(`CREATE TABLE IF NOT EXISTS employees (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        display_name TEXT NOT NULL,
+        employee_number TEXT UNIQUE,
+        department TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`);
+    await dbRun(`CREATE TABLE IF NOT EXISTS devices (
+        mac TEXT PRIMARY KEY,
+        employee_id INTEGER NOT NULL,
+        label TEXT,
+        created_at TEXT NOT NULL
+    )`);
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_devices_employee ON devices (employee_id)`);
+    await dbRun(`CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        department TEXT,
+        created_at TEXT NOT NULL
+    )`);
+    await ensureColumn('employees', 'team_id', 'INTEGER');
+    // Holidays, office closures and special working days; site NULL = every site
+    await dbRun(`CREATE TABLE IF NOT EXISTS calendar_days (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        type TEXT NOT NULL,
+        name TEXT,
+        site TEXT,
+        created_at TEXT NOT NULL
+    )`);
+    await dbRun(`CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_days_date_site ON calendar_days (date, COALESCE(site, ''))`);
+    // Approved leave and alternative attendance (official business, WFH); half_day is 'am' or 'pm'
+    await dbRun(`CREATE TABLE IF NOT EXISTS leaves (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        half_day TEXT,
+        note TEXT,
+        created_at TEXT NOT NULL
+    )`);
+    await dbRun(`CREATE INDEX IF NOT EXISTS idx_leaves_employee_dates ON leaves (employee_id, start_date, end_date)`);
+    // Work schedules; `days` holds per-weekday overrides as JSON (see parseShiftInput)
+    await dbRun(`CREATE TABLE IF NOT EXISTS shifts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        type TEXT NOT NULL,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        required_hours REAL,
+        grace_minutes INTEGER NOT NULL DEFAULT 0,
+        days TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`);
+    // An employee's own shift wins over their team's
+    await ensureColumn('employees', 'shift_id', 'INTEGER');
+    await ensureColumn('teams', 'shift_id', 'INTEGER');
+    // Hybrid work policies; `anchor_days` is a JSON list of weekdays (see parsePolicyInput)
+    await dbRun(`CREATE TABLE IF NOT EXISTS work_policies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        min_days_per_week INTEGER,
+        anchor_days TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`);
+    // An employee's own policy wins over their team's
+    await ensureColumn('employees', 'policy_id', 'INTEGER');
+    await ensureColumn('teams', 'policy_id', 'INTEGER');
+    // For randomized MACs merged into an employee: the registered device they belong to
+    await ensureColumn('devices', 'alias_of', 'TEXT');
+    // Suggested randomized-MAC merges the admin dismissed, so they are not suggested again
+    await dbRun(`CREATE TABLE IF NOT EXISTS mac_merge_rejections (
+        mac TEXT NOT NULL,
+        employee_id INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (mac, employee_id)
+    )`);
+    // Devices an admin marked as not belonging to anyone (access points, printers, visitors' phones)
+    await dbRun(`CREATE TABLE IF NOT EXISTS ignored_devices (
+        mac TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        note TEXT,
+        created_at TEXT NOT NULL
+    )`);
+    await dbRun(CREATE_RULES_TABLE_SQL);
+}
+
+const CREATE_FAILED_DAYS_SQL = `CREATE TABLE IF NOT EXISTS failed_days (
+    site TEXT NOT NULL,
+    date TEXT NOT NULL,
+    first_failed_at TEXT NOT NULL,
+    last_failed_at TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    last_error TEXT,
+    next_retry_at TEXT,
+    PRIMARY KEY (site, date)
+)`;
+
+// Add a column to an existing table if it is missing (CREATE TABLE IF NOT EXISTS won't do it)
+async function ensureColumn(table, column, definition) {
+    const columns = await dbAll(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) await dbRun(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+// failed_days used to be keyed by date alone; rebuild it keyed by (site, date)
+async function migrateFailedDaysToSites() {
+    const columns = await dbAll(`PRAGMA table_info(failed_days)`);
+    if (columns.some(c => c.name === 'site')) return;
+    await dbRun(`ALTER TABLE failed_days RENAME TO failed_days_old`);
+    await dbRun(CREATE_FAILED_DAYS_SQL);
+    await dbRun(`INSERT INTO failed_days (site, date, first_failed_at, last_failed_at, attempts, last_error, next_retry_at)
+                 SELECT ?, date, first_failed_at, last_failed_at, attempts, last_error, next_retry_at FROM failed_days_old`, [DEFAULT_SITE_ID]);
+    await dbRun(`DROP TABLE failed_days_old`);
+}
+
+// Logs stored before timestamps were normalized may carry an offset ('Z', '+08:00') or
+// fractions of a second; convert them to the site's wall-clock time. Only rows that are not
+// in the stored form are touched, so this is a no-op once done. A row that turns out to be
+// a session already stored in the other form is folded into it.
+async function migrateLogTimestamps() {
+    const rows = await dbAll(
+        `SELECT rowid AS id, Mac, FirstSeen, LastSeen, site FROM logs
+         WHERE FirstSeen NOT GLOB ? OR (LastSeen IS NOT NULL AND LastSeen NOT GLOB ?)`,
+        [STORED_TIMESTAMP_GLOB, STORED_TIMESTAMP_GLOB]
+    );
+    if (!rows.length) return;
+    let converted = 0;
+    let folded = 0;
+    await dbRun('BEGIN');
+    try {
+        for (const row of rows) {
+            const timezone = siteTimezone(row.site);
+            const firstSeen = normalizeTimestamp(row.FirstSeen, timezone) || row.FirstSeen;
+            const lastSeen = row.LastSeen === null ? null : normalizeTimestamp(row.LastSeen, timezone) || row.LastSeen;
+            if (firstSeen === row.FirstSeen && lastSeen === row.LastSeen) continue;
+            const duplicate = firstSeen !== row.FirstSeen
+                ? await dbGet(`SELECT rowid AS id, LastSeen FROM logs WHERE Mac = ? AND FirstSeen = ?`, [row.Mac, firstSeen])
+                : null;
+            if (duplicate) {
+                if (lastSeen && compareTimestamps(lastSeen, duplicate.LastSeen) > 0) {
+                    await dbRun(`UPDATE logs SET LastSeen = ? WHERE rowid = ?`, [lastSeen, duplicate.id]);
+                }
+                await dbRun(`DELETE FROM logs WHERE rowid = ?`, [row.id]);
+                folded++;
+            } else {
+                await dbRun(`UPDATE logs SET FirstSeen = ?, LastSeen = ? WHERE rowid = ?`, [firstSeen, lastSeen, row.id]);
+                converted++;
+            }
+        }
+        await dbRun('COMMIT');
+    } catch (error) {
+        await dbRun('ROLLBACK');
+        throw error;
+    }
+    console.log(`Normalized log timestamps: ${converted} rows converted, ${folded} duplicates folded.`);
+}
+
 // --- Middleware ---
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_BYTES } });
+
+// --- Database Helpers ---
+// Promise wrappers around the sqlite3 callback API
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+}
 
 // --- Helper Functions ---
-const normalizeName = (name) => {
-    if (!name) return 'Unregistered Device';
-    return name.replace(/\s*\(([^)]+)\)/, '').trim();
-};
+// normalizeName and the employee-name heuristic live in lib/classification.js (shared with mcp-server)
 
 // Helper to format name as LASTNAME, FIRSTNAME for the report
 const formatNameForExcel = (name) => {
@@ -41,38 +355,8 @@ const formatNameForExcel = (name) => {
     return `${lastName.toUpperCase()}, ${firstName.toUpperCase()}`;
 };
 
-// Heuristic to decide if a string is likely a human employee name
-// Rules:
-// - Not the placeholder 'Unregistered Device'
-// - After normalization (removing device type in parentheses),
-//   must contain at least 2 tokens that include letters
-// - Avoid obvious garbage like empty strings
-function isLikelyEmployeeName(rawName) {
-    const normalized = normalizeName(rawName);
-    if (!normalized || normalized === 'Unregistered Device') return false;
-    const parts = normalized
-        .split(/\s+/)
-        .filter(Boolean);
-    if (parts.length < 2) return false;
-    // at least two parts contain alphabetic characters
-    const alphaParts = parts.filter(p => /[A-Za-z]/.test(p));
-    return alphaParts.length >= 2;
-}
-
 // --- Presence helpers ---
-function toLocalISOString(d) {
-    const pad = (n) => String(n).padStart(2, '0');
-    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
-}
-
-function clampIntervalToDay([start, end], dayStr) {
-    const dayStart = new Date(`${dayStr}T00:00:00`);
-    const dayEnd = new Date(`${dayStr}T23:59:59`);
-    const s = new Date(Math.max(start.getTime(), dayStart.getTime()));
-    const e = new Date(Math.min(end.getTime(), dayEnd.getTime()));
-    if (e < s) return null;
-    return [s, e];
-}
+// toLocalISOString and clampIntervalToDay live in lib/timezone.js (shared with mcp-server)
 
 function mergeSessions(intervals, gapMinutes = 30) {
     if (!intervals.length) return [];
@@ -93,263 +377,4477 @@ function mergeSessions(intervals, gapMinutes = 30) {
     return merged;
 }
 
-// --- Reusable Data Fetching Function ---
-async function getMonthlyPresenceData(year, month) {
+// --- Sync helpers ---
+function isValidDateString(value) {
+    return typeof value === 'string' && moment(value, 'YYYY-MM-DD', true).isValid();
+}
+
+// Every date from start to end (inclusive) as YYYY-MM-DD strings
+function listDates(startDate, endDate) {
+    const dates = [];
+    const last = moment(endDate);
+    for (const day = moment(startDate); day.isSameOrBefore(last, 'day'); day.add(1, 'day')) {
+        dates.push(day.format('YYYY-MM-DD'));
+    }
+    return dates;
+}
+
+function checkpointKey(siteId) {
+    return `lastCompletedDate:${siteId}`;
+}
+
+async function getSyncCheckpoint(siteId) {
+    const row = await dbGet(`SELECT value FROM sync_state WHERE key = ?`, [checkpointKey(siteId)]);
+    return row ? row.value : null;
+}
+
+function setSyncCheckpoint(siteId, dateString) {
+    return dbRun(`INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)`, [checkpointKey(siteId), dateString]);
+}
+
+// { siteId: 'YYYY-MM-DD' | null } for every configured site
+async function getSyncCheckpoints() {
+    const checkpoints = {};
+    for (const site of SITES) {
+        checkpoints[site.id] = await getSyncCheckpoint(site.id);
+    }
+    return checkpoints;
+}
+
+// Decide which days a sync of `site` should cover ("today" is in the site's time zone).
+// - explicit dates  -> 'retry', only those days (used by the failed-days queue)
+// - explicit range  -> 'backfill', checkpoint is left untouched
+// - checkpoint      -> 'incremental', from (checkpoint - SYNC_RECHECK_DAYS) to today
+// - no checkpoint   -> 'initial', the last INITIAL_SYNC_DAYS days
+async function resolveSyncRange(site, startDate, endDate, dates) {
+    const today = moment.tz(site.timezone).format('YYYY-MM-DD');
+    if (dates && dates.length) {
+        const sorted = [...dates].sort();
+        return { mode: 'retry', dates: sorted, startDate: sorted[0], endDate: sorted[sorted.length - 1] };
+    }
+    if (startDate) {
+        return { mode: 'backfill', startDate, endDate: endDate || today };
+    }
+    const checkpoint = await getSyncCheckpoint(site.id);
+    if (!checkpoint) {
+        return {
+            mode: 'initial',
+            startDate: moment(today).subtract(INITIAL_SYNC_DAYS - 1, 'days').format('YYYY-MM-DD'),
+            endDate: today
+        };
+    }
+    const from = moment.min(moment(checkpoint), moment(today)).subtract(SYNC_RECHECK_DAYS, 'days');
+    return { mode: 'incremental', startDate: from.format('YYYY-MM-DD'), endDate: today };
+}
+
+// Compare two stored timestamps; falls back to string order if either doesn't parse
+function compareTimestamps(a, b) {
+    const ta = parseStoredTimestamp(a).getTime();
+    const tb = parseStoredTimestamp(b).getTime();
+    if (Number.isNaN(ta) || Number.isNaN(tb)) return String(a || '').localeCompare(String(b || ''));
+    return ta - tb;
+}
+
+// Store one source record. A session is identified by (Mac, FirstSeen); when the source
+// reports it again with a later LastSeen (the session was still open last time) we extend it,
+// and take the Name from the newest report. Timestamps are normalized to the site's time
+// zone first (see lib/timezone.js). Returns 'inserted', 'updated' or 'unchanged'.
+async function upsertLog(source, siteId) {
+    const timezone = siteTimezone(siteId);
+    const log = {
+        ...source,
+        FirstSeen: normalizeTimestamp(source.FirstSeen, timezone) || source.FirstSeen,
+        LastSeen: source.LastSeen ? normalizeTimestamp(source.LastSeen, timezone) || source.LastSeen : source.LastSeen
+    };
+    const existing = await dbGet(`SELECT Name, LastSeen FROM logs WHERE Mac = ? AND FirstSeen = ?`, [log.Mac, log.FirstSeen]);
+    if (!existing) {
+        await dbRun(`INSERT INTO logs (Mac, Name, FirstSeen, LastSeen, site) VALUES (?, ?, ?, ?, ?)`, [log.Mac, log.Name, log.FirstSeen, log.LastSeen, siteId]);
+        return 'inserted';
+    }
+
+    const order = log.LastSeen ? compareTimestamps(log.LastSeen, existing.LastSeen) : -1;
+    const lastSeen = order > 0 ? log.LastSeen : existing.LastSeen;
+    const name = order >= 0 && log.Name ? log.Name : existing.Name;
+    if (lastSeen === existing.LastSeen && name === existing.Name) return 'unchanged';
+
+    await dbRun(`UPDATE logs SET Name = ?, LastSeen = ? WHERE Mac = ? AND FirstSeen = ?`, [name, lastSeen, log.Mac, log.FirstSeen]);
+    return 'updated';
+}
+
+// --- Source API client ---
+// Every request has a timeout and is retried with exponential backoff. A circuit breaker
+// counts consecutive failures; once it opens, requests fail fast until the cooldown passes
+// and a single trial request ('half-open') succeeds. Each site has its own circuit.
+const sourceCircuits = new Map();
+
+function getSourceCircuit(siteId) {
+    if (!sourceCircuits.has(siteId)) {
+        sourceCircuits.set(siteId, { state: 'closed', consecutiveFailures: 0, openedAt: null });
+    }
+    return sourceCircuits.get(siteId);
+}
+
+function isSourceCircuitOpen(siteId) {
+    const circuit = getSourceCircuit(siteId);
+    return circuit.state === 'open' && Date.now() - circuit.openedAt < SOURCE_CIRCUIT_COOLDOWN_MS;
+}
+
+function checkSourceCircuit(siteId) {
+    const circuit = getSourceCircuit(siteId);
+    if (circuit.state !== 'open') return;
+    if (!isSourceCircuitOpen(siteId)) {
+        circuit.state = 'half-open';
+        return;
+    }
+    const retryAt = moment(circuit.openedAt + SOURCE_CIRCUIT_COOLDOWN_MS).format();
+    const error = new Error(`Source API is unavailable (circuit open until ${retryAt}).`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+}
+
+function recordSourceSuccess(siteId) {
+    const circuit = getSourceCircuit(siteId);
+    if (circuit.state !== 'closed') console.log(`Source API of site '${siteId}' is reachable again, closing the circuit.`);
+    Object.assign(circuit, { state: 'closed', consecutiveFailures: 0, openedAt: null });
+}
+
+function recordSourceFailure(siteId) {
+    const circuit = getSourceCircuit(siteId);
+    circuit.consecutiveFailures++;
+    const shouldOpen = circuit.state === 'half-open' || circuit.consecutiveFailures >= SOURCE_CIRCUIT_FAILURE_THRESHOLD;
+    if (shouldOpen) {
+        if (circuit.state !== 'open') {
+            console.error(`Source API of site '${siteId}' failed ${circuit.consecutiveFailures} times in a row, opening the circuit.`);
+        }
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+// { siteId: circuit state } for every configured site
+function serializeSourceCircuits() {
+    const circuits = {};
+    SITES.forEach(site => {
+        const circuit = getSourceCircuit(site.id);
+        circuits[site.id] = {
+            state: isSourceCircuitOpen(site.id) ? 'open' : circuit.state,
+            consecutive_failures: circuit.consecutiveFailures,
+            opened_at: circuit.openedAt ? moment(circuit.openedAt).format() : null,
+            retry_at: circuit.openedAt ? moment(circuit.openedAt + SOURCE_CIRCUIT_COOLDOWN_MS).format() : null
+        };
+    });
+    return circuits;
+}
+
+// Resolves after `ms`, or rejects early if `signal` is aborted
+function sleep(ms, signal) {
     return new Promise((resolve, reject) => {
-        const startDate = `${year}-${month.toString().padStart(2, '0')}-01`;
-        // Calculate the last day of the month correctly using moment
-        const endDate = moment(`${year}-${month.toString().padStart(2, '0')}-01`).endOf('month').format('YYYY-MM-DD');
+        const onAbort = () => {
+            clearTimeout(timer);
+            const error = new Error('The operation was aborted.');
+            error.name = 'AbortError';
+            reject(error);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) {
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
 
-    const sql = `SELECT Name, date(FirstSeen) as presenceDate FROM logs WHERE date(FirstSeen) BETWEEN ? AND ?`;
-        db.all(sql, [startDate, endDate], (err, rows) => {
-            if (err) return reject(err);
+// One request with a timeout. Errors carry `retryable` so the caller knows whether to try again.
+async function requestSource(url, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    const timer = setTimeout(() => controller.abort(), SOURCE_FETCH_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`Source API responded with ${response.status} ${response.statusText}`);
+            error.retryable = response.status >= 500 || response.status === 429;
+            throw error;
+        }
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            throw new Error('Source API returned an unexpected payload');
+        }
+        return data;
+    } catch (error) {
+        if (error.name === 'AbortError' && !(signal && signal.aborted)) {
+            const timeout = new Error(`Source API did not respond within ${SOURCE_FETCH_TIMEOUT_MS} ms`);
+            timeout.retryable = true;
+            throw timeout;
+        }
+        if (error.type === 'system' || error.type === 'invalid-json') error.retryable = true; // network errors, truncated bodies
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
+}
 
-            const employeeData = new Map();
-            rows.forEach(row => {
-        const normalized = normalizeName(row.Name);
-        // Include entries that look like actual employees (even without parentheses)
-        if (isLikelyEmployeeName(row.Name)) {
-                    if (!employeeData.has(normalized)) {
-                        employeeData.set(normalized, new Set());
-                    }
-                    employeeData.get(normalized).add(row.presenceDate);
-                }
-            });
+// Fetch one day's logs from a site, retrying transient failures with exponential backoff
+async function fetchSourceDay(site, dateString, signal) {
+    const url = `${site.sourceUrl}?startDate=${dateString}&endDate=${dateString}`;
+    let lastError = null;
+    for (let attempt = 0; attempt <= SOURCE_FETCH_RETRIES; attempt++) {
+        if (attempt > 0) await sleep(SOURCE_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), signal);
+        checkSourceCircuit(site.id);
+        try {
+            const data = await requestSource(url, signal);
+            recordSourceSuccess(site.id);
+            return data;
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            lastError = error;
+            if (!error.retryable) break;
+            recordSourceFailure(site.id);
+            console.warn(`[${site.id}] Attempt ${attempt + 1} for ${dateString} failed: ${error.message}`);
+        }
+    }
+    throw lastError;
+}
 
-            const employees = Array.from(employeeData.entries()).map(([name, dates]) => ({
-                name: formatNameForExcel(name),
-                presenceDates: Array.from(dates)
-            })).sort((a, b) => a.name.localeCompare(b.name));
+// --- Failed-days queue ---
+// Days whose fetch failed are kept in failed_days and retried later with growing delays.
+// Any later successful fetch of that day (scheduled, manual or backfill) removes it.
+async function recordFailedDay(siteId, dateString, message) {
+    const existing = await dbGet(`SELECT attempts FROM failed_days WHERE site = ? AND date = ?`, [siteId, dateString]);
+    const attempts = existing ? existing.attempts + 1 : 1;
+    const delayMinutes = Math.min(FAILED_DAY_RETRY_BASE_MINUTES * 2 ** (attempts - 1), FAILED_DAY_RETRY_MAX_MINUTES);
+    const nextRetryAt = attempts < FAILED_DAY_MAX_ATTEMPTS ? moment().add(delayMinutes, 'minutes').format() : null;
+    const now = moment().format();
+    await dbRun(
+        `INSERT INTO failed_days (site, date, first_failed_at, last_failed_at, attempts, last_error, next_retry_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(site, date) DO UPDATE SET last_failed_at = excluded.last_failed_at, attempts = excluded.attempts,
+             last_error = excluded.last_error, next_retry_at = excluded.next_retry_at`,
+        [siteId, dateString, now, now, attempts, message, nextRetryAt]
+    );
+}
 
-            resolve(employees);
-        });
+function clearFailedDay(siteId, dateString) {
+    return dbRun(`DELETE FROM failed_days WHERE site = ? AND date = ?`, [siteId, dateString]);
+}
+
+async function retryDueFailedDays() {
+    if (syncInProgress) return;
+    const rows = await dbAll(`SELECT site, date, next_retry_at FROM failed_days WHERE next_retry_at IS NOT NULL ORDER BY site, date`);
+    const now = moment();
+    const retryDates = {};
+    rows.forEach(row => {
+        if (!getSite(row.site) || isSourceCircuitOpen(row.site) || moment(row.next_retry_at).isAfter(now)) return;
+        (retryDates[row.site] = retryDates[row.site] || []).push(row.date);
     });
+    if (!Object.keys(retryDates).length) return;
+    Object.entries(retryDates).forEach(([siteId, dates]) => console.log(`[${siteId}] Retrying failed day(s): ${dates.join(', ')}`));
+    startSyncJob({ siteIds: Object.keys(retryDates), retryDates, trigger: 'retry' });
 }
 
-// --- API Endpoints ---
+function startFailedDayRetries() {
+    setInterval(() => {
+        retryDueFailedDays().catch(error => console.error('Failed-day retry check failed:', error));
+    }, FAILED_DAY_CHECK_INTERVAL_MS);
+}
 
-app.post('/api/sync', async (req, res) => {
-    // ... Sync logic remains unchanged ...
-    console.log('Starting data synchronization...');
-    const daysToSync = 60; // Sync more days to be safe
-    const sql = `INSERT OR IGNORE INTO logs (Mac, Name, FirstSeen, LastSeen) VALUES (?, ?, ?, ?)`;
-    try {
-        const stmt = db.prepare(sql);
-        for (let i = 0; i < daysToSync; i++) {
-            const date = new Date();
-            date.setDate(date.getDate() - i);
-            const dateString = date.toISOString().split('T')[0];
-            const url = `${SOURCE_API_BASE_URL}?startDate=${dateString}&endDate=${dateString}`;
+// Fetch one day from the source API and store it.
+// Returns { records, inserted, updated, unchanged } for that day.
+async function syncDay(site, dateString, signal) {
+    const data = await fetchSourceDay(site, dateString, signal);
+    const counts = { records: data.length, inserted: 0, updated: 0, unchanged: 0 };
+    for (const log of data) {
+        counts[await upsertLog(log, site.id)]++;
+    }
+    return counts;
+}
+
+let syncInProgress = false;
+
+function createSyncBusyError() {
+    const busy = new Error('A sync is already running.');
+    busy.code = 'SYNC_IN_PROGRESS';
+    return busy;
+}
+
+// Sync the given sites (default: all) one after another; each site gets its own sync_runs row.
+// Only one sync runs at a time; a second call rejects with code 'SYNC_IN_PROGRESS'.
+// `retryDates` ({ siteId: [dates] }) limits each site to those days. `signal` (AbortSignal)
+// cancels the run, `onProgress` receives an event per phase/day. Resolves to the list of runs.
+async function runSync({ siteIds, startDate, endDate, retryDates, trigger = 'manual', signal, onProgress } = {}) {
+    if (syncInProgress) throw createSyncBusyError();
+    syncInProgress = true;
+    try {
+        const sites = siteIds ? siteIds.map(getSite).filter(Boolean) : SITES;
+        const runs = [];
+        for (const site of sites) {
+            if (signal && signal.aborted) break;
+            const dates = retryDates ? retryDates[site.id] : undefined;
+            runs.push(await performSync({ site, startDate, endDate, dates, trigger, signal, onProgress: onProgress || (() => {}) }));
+        }
+        return runs;
+    } finally {
+        syncInProgress = false;
+    }
+}
+
+// Overall outcome of a multi-site sync
+function summarizeRunStatus(runs) {
+    if (!runs.length) return 'cancelled';
+    const statuses = new Set(runs.map(run => run.status));
+    if (statuses.size === 1) return runs[0].status;
+    if (statuses.has('cancelled')) return 'cancelled';
+    return 'partial';
+}
+
+async function performSync({ site, startDate, endDate, dates, trigger, signal, onProgress }) {
+    const range = await resolveSyncRange(site, startDate, endDate, dates);
+    const startedAt = moment();
+    const { lastID: runId } = await dbRun(
+        `INSERT INTO sync_runs (started_at, status, mode, start_date, end_date, triggered_by, site) VALUES (?, 'running', ?, ?, ?, ?, ?)`,
+        [startedAt.format(), range.mode, range.startDate, range.endDate, trigger, site.id]
+    );
+    console.log(`[${site.id}] Starting ${range.mode} sync #${runId} for ${range.startDate} to ${range.endDate}...`);
+
+    const dayCounts = {};
+    const errors = [];
+    const totals = { records: 0, inserted: 0, updated: 0, unchanged: 0 };
+    let daysSynced = 0;
+    let lastContiguousDay = null; // the checkpoint only advances past days that all succeeded
+    let status = 'failed';
+    let cancelled = false;
+    const daysToSync = range.dates || listDates(range.startDate, range.endDate);
+    onProgress({ type: 'start', site: site.id, run_id: runId, mode: range.mode, start_date: range.startDate, end_date: range.endDate, total_days: daysToSync.length });
+
+    try {
+        for (const dateString of daysToSync) {
+            if (signal && signal.aborted) {
+                cancelled = true;
+                break;
+            }
+            onProgress({ type: 'day-start', date: dateString });
             try {
-                const response = await fetch(url);
-                if (response.ok) {
-                    const data = await response.json();
-                    if (Array.isArray(data)) {
-                        data.forEach(log => stmt.run(log.Mac, log.Name, log.FirstSeen, log.LastSeen));
-                    }
-                    console.log(`Synced ${dateString}: Found ${data.length} records.`);
-                }
+                const counts = await syncDay(site, dateString, signal);
+                daysSynced++;
+                dayCounts[dateString] = counts;
+                Object.keys(totals).forEach(key => { totals[key] += counts[key]; });
+                if (!errors.length) lastContiguousDay = dateString;
+                await clearFailedDay(site.id, dateString);
+                console.log(`[${site.id}] Synced ${dateString}: Found ${counts.records} records (${counts.inserted} new, ${counts.updated} updated).`);
+                onProgress({ type: 'day', date: dateString, ...counts });
             } catch (fetchError) {
-                console.error(`Failed to fetch or process data for ${dateString}:`, fetchError.message);
+                if (signal && signal.aborted) {
+                    cancelled = true;
+                    break;
+                }
+                daysSynced++;
+                errors.push({ date: dateString, error: fetchError.message });
+                await recordFailedDay(site.id, dateString, fetchError.message);
+                console.error(`[${site.id}] Failed to fetch or process data for ${dateString}:`, fetchError.message);
+                onProgress({ type: 'day', date: dateString, records: 0, inserted: 0, updated: 0, unchanged: 0, error: fetchError.message });
             }
         }
-        stmt.finalize();
-        console.log('Synchronization process finished.');
-        res.json({ message: `Sync complete. Checked the last ${daysToSync} days.` });
+
+        if ((range.mode === 'initial' || range.mode === 'incremental') && lastContiguousDay) {
+            await setSyncCheckpoint(site.id, lastContiguousDay);
+        }
+        if (cancelled) status = 'cancelled';
+        else if (!errors.length) status = 'success';
+        else if (errors.length < daysSynced) status = 'partial';
     } catch (error) {
-        console.error('An error occurred during the sync process:', error);
-        res.status(500).json({ error: 'An error occurred during synchronization.' });
+        errors.push({ date: null, error: error.message });
+        throw error;
+    } finally {
+        const finishedAt = moment();
+        await dbRun(
+            `UPDATE sync_runs SET finished_at = ?, status = ?, days_synced = ?, records = ?, inserted = ?, updated = ?, unchanged = ?,
+                day_counts = ?, errors = ?, duration_ms = ? WHERE id = ?`,
+            [finishedAt.format(), status, daysSynced, totals.records, totals.inserted, totals.updated, totals.unchanged,
+                JSON.stringify(dayCounts), JSON.stringify(errors), finishedAt.diff(startedAt), runId]
+        );
+        invalidateMacLogStats();
+        console.log(`[${site.id}] Sync #${runId} finished with status '${status}'.`);
     }
-});
 
+    return formatSyncRun(await dbGet(`SELECT * FROM sync_runs WHERE id = ?`, [runId]));
+}
 
-// Note: The original /api/presence-report endpoint is now simplified by using the shared function
-// We will keep it in case you want to switch back to the calendar view later.
-app.get('/api/presence-report', async (req, res) => {
-    const { year, month } = req.query;
+// --- Background Sync Jobs ---
+// A job wraps one runSync() call so the HTTP request can return immediately.
+// Progress is pushed to listeners (see /api/sync/jobs/:id/events) through the job's emitter.
+const syncJobs = new Map();
+const SYNC_JOB_RETENTION_MS = 60 * 60 * 1000; // Finished jobs stay queryable for an hour
+let activeSyncJobId = null;
+
+function startSyncJob(options = {}) {
+    if (syncInProgress) throw createSyncBusyError();
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'running',
+        trigger: options.trigger || 'manual',
+        created_at: moment().format(),
+        finished_at: null,
+        progress: {
+            site: null, site_count: options.siteIds ? options.siteIds.length : SITES.length, run_ids: [],
+            total_days: 0, days_done: 0, current_day: null,
+            records: 0, inserted: 0, updated: 0, unchanged: 0, failures: []
+        },
+        runs: [],
+        error: null,
+        controller: new AbortController(),
+        emitter: new EventEmitter()
+    };
+    syncJobs.set(job.id, job);
+    activeSyncJobId = job.id;
+
+    const onProgress = (event) => {
+        const progress = job.progress;
+        if (event.type === 'start') {
+            // total_days grows as each site starts, since each site resolves its own range
+            progress.site = event.site;
+            progress.run_ids.push(event.run_id);
+            progress.total_days += event.total_days;
+        } else if (event.type === 'day-start') {
+            progress.current_day = event.date;
+        } else if (event.type === 'day') {
+            progress.days_done++;
+            progress.records += event.records;
+            progress.inserted += event.inserted;
+            progress.updated += event.updated;
+            progress.unchanged += event.unchanged;
+            if (event.error) progress.failures.push({ site: progress.site, date: event.date, error: event.error });
+        }
+        job.emitter.emit('progress', serializeSyncJob(job));
+    };
+
+    job.promise = runSync({ ...options, signal: job.controller.signal, onProgress })
+        .then((runs) => {
+            job.runs = runs;
+            job.status = job.controller.signal.aborted ? 'cancelled' : 'completed';
+        })
+        .catch((error) => {
+            console.error(`Sync job ${job.id} failed:`, error);
+            job.status = 'failed';
+            job.error = error.message;
+        })
+        .finally(() => {
+            job.finished_at = moment().format();
+            job.progress.current_day = null;
+            if (activeSyncJobId === job.id) activeSyncJobId = null;
+            job.emitter.emit('done', serializeSyncJob(job));
+            setTimeout(() => syncJobs.delete(job.id), SYNC_JOB_RETENTION_MS).unref();
+        });
+
+    return job;
+}
+
+function serializeSyncJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        trigger: job.trigger,
+        created_at: job.created_at,
+        finished_at: job.finished_at,
+        progress: { ...job.progress, run_ids: [...job.progress.run_ids], failures: [...job.progress.failures] },
+        runs: job.runs,
+        error: job.error
+    };
+}
+
+// --- Sync Scheduler ---
+const syncScheduler = {
+    timer: null,
+    nextRunAt: null,
+    lastRunAt: null,
+    lastOutcome: null,
+    lastError: null
+};
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1; // setTimeout cannot wait longer than this
+
+function getSyncSchedule() {
+    if (SYNC_CRON) return { enabled: true, type: 'cron', cron: SYNC_CRON };
+    if (SYNC_INTERVAL_MINUTES > 0) return { enabled: true, type: 'interval', interval_minutes: SYNC_INTERVAL_MINUTES };
+    return { enabled: false };
+}
+
+function computeNextSyncTime(schedule) {
+    if (schedule.type === 'cron') {
+        return moment(cronParser.parseExpression(schedule.cron).next().toDate());
+    }
+    return moment().add(schedule.interval_minutes, 'minutes');
+}
+
+function scheduleNextSync() {
+    const schedule = getSyncSchedule();
+    if (!schedule.enabled) return;
+    syncScheduler.nextRunAt = computeNextSyncTime(schedule);
+    armSyncTimer();
+}
+
+function armSyncTimer() {
+    const delay = syncScheduler.nextRunAt.diff(moment());
+    if (delay > MAX_TIMER_DELAY_MS) {
+        // Too far out for one timer: wake up part-way and re-arm for the same target time
+        syncScheduler.timer = setTimeout(armSyncTimer, MAX_TIMER_DELAY_MS);
+        return;
+    }
+    syncScheduler.timer = setTimeout(runScheduledSync, Math.max(delay, 0));
+}
+
+async function runScheduledSync() {
+    syncScheduler.lastRunAt = moment();
+    syncScheduler.lastError = null;
     try {
-        const employees = await getMonthlyPresenceData(year, month);
-        res.json({ employees, unregistered: [] }); // Simplified response
+        const job = startSyncJob({ trigger: 'scheduled' });
+        await job.promise;
+        syncScheduler.lastOutcome = job.status === 'failed' ? 'failed' : summarizeRunStatus(job.runs);
+        syncScheduler.lastError = job.error;
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        // startSyncJob only throws synchronously, when another sync holds the lock
+        console.log('Scheduled sync skipped: a sync is already running.');
+        syncScheduler.lastOutcome = 'skipped';
     }
-});
+    scheduleNextSync();
+}
 
-/**
- * @route   GET /api/export-excel
- * @desc    Generates and returns an Excel attendance report.
- */
-app.get('/api/export-excel', async (req, res) => {
-    const { year, month } = req.query;
-    if (!year || !month) {
-        return res.status(400).json({ error: 'Year and month are required.' });
+function startSyncScheduler() {
+    const schedule = getSyncSchedule();
+    if (!schedule.enabled) {
+        console.log('Automatic sync is disabled.');
+        return;
+    }
+    if (schedule.type === 'cron') {
+        try {
+            cronParser.parseExpression(schedule.cron);
+        } catch (error) {
+            console.error(`Invalid SYNC_CRON expression '${schedule.cron}', automatic sync is disabled:`, error.message);
+            return;
+        }
     }
+    scheduleNextSync();
+    console.log(`Automatic sync scheduled (${schedule.type === 'cron' ? `cron '${schedule.cron}'` : `every ${schedule.interval_minutes} minutes`}), next run at ${syncScheduler.nextRunAt.format()}.`);
+}
 
-    try {
-        const employees = await getMonthlyPresenceData(year, month);
-        const workbook = new ExcelJS.Workbook();
-        const monthName = moment(`${year}-${month}-01`).format('MMMM YYYY');
-        const worksheet = workbook.addWorksheet(monthName);
-
-        // --- Define Structure ---
-        const firstDayOfMonth = moment(`${year}-${month}-01`);
-        const lastDayOfMonth = moment(`${year}-${month}-01`).endOf('month');
-        const weeks = [];
-        let currentDay = firstDayOfMonth.clone().startOf('month');
-
-        // Group days into weeks (Mon-Fri)
-        while (currentDay.isSameOrBefore(lastDayOfMonth, 'day')) {
-            const weekStart = currentDay.clone().startOf('isoWeek'); // Start of week is Monday
-            const weekEnd = weekStart.clone().add(4, 'days'); // End of week is Friday
-            
-            const week = {
-                range: `${weekStart.format('MMM D')} - ${weekEnd.format('MMM D, YYYY')}`,
-                days: []
-            };
-            for (let i = 0; i < 5; i++) {
-                week.days.push(weekStart.clone().add(i, 'days'));
-            }
-            weeks.push(week);
-            currentDay.add(1, 'week');
+function formatSyncRun(row) {
+    const dayCounts = row.day_counts ? JSON.parse(row.day_counts) : {};
+    // Runs recorded before upserts stored a bare record count per day
+    Object.keys(dayCounts).forEach(date => {
+        if (typeof dayCounts[date] === 'number') dayCounts[date] = { records: dayCounts[date] };
+    });
+    return {
+        ...row,
+        day_counts: dayCounts,
+        errors: row.errors ? JSON.parse(row.errors) : []
+    };
+}
+
+// --- Import helpers ---
+const LOG_FIELDS = ['Mac', 'Name', 'FirstSeen', 'LastSeen'];
+const STORED_TIMESTAMP_FORMAT = 'YYYY-MM-DDTHH:mm:ss'; // Office wall-clock time, see lib/timezone.js
+
+// Lower-case, colon-separated MAC (the source's format), or null if it isn't a MAC
+function normalizeMac(value) {
+    const hex = String(value || '').replace(/[^0-9a-fA-F]/g, '');
+    if (hex.length !== 12 || !/^[0-9a-fA-F:.\-\s]+$/.test(String(value).trim())) return null;
+    return hex.toLowerCase().match(/.{2}/g).join(':');
+}
+
+// Parse a timestamp cell in `timezone`. `format` is a moment format string, 'unix' (seconds)
+// or 'unix_ms'; without one, ISO 8601 and a few common layouts are accepted. Values without
+// an offset are taken as times in `timezone`; values with one are converted to it.
+function parseImportTimestamp(value, format, timezone) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    let parsed;
+    if (format === 'unix') parsed = moment.unix(Number(text)).tz(timezone);
+    else if (format === 'unix_ms') parsed = moment(Number(text)).tz(timezone);
+    else if (format) parsed = moment.tz(text, format, true, timezone);
+    else parsed = moment.tz(text, [moment.ISO_8601, 'YYYY-MM-DD HH:mm:ss', 'YYYY-MM-DD HH:mm', 'MM/DD/YYYY HH:mm:ss', 'MM/DD/YYYY HH:mm', 'MM/DD/YYYY h:mm A'], true, timezone);
+    return parsed.isValid() ? parsed : null;
+}
+
+// Turn an uploaded file into an array of plain objects
+function readImportRows(file, format, delimiter) {
+    const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const detected = format || (/\.json$/i.test(file.originalname) || /json/.test(file.mimetype) ? 'json' : 'csv');
+    if (detected === 'json') {
+        const data = JSON.parse(text);
+        const rows = Array.isArray(data) ? data : data && data.logs;
+        if (!Array.isArray(rows)) throw new Error('JSON must be an array of records or an object with a "logs" array.');
+        const bad = rows.findIndex(row => !isPlainObject(row));
+        if (bad >= 0) throw new Error(`record ${bad + 1} is not an object.`);
+        return { format: 'json', rows, firstRowNumber: 1 };
+    }
+    const rows = parseCsv(text, { columns: true, skip_empty_lines: true, trim: true, delimiter: delimiter || ',', relax_column_count: true });
+    return { format: 'csv', rows, firstRowNumber: 2 }; // line 1 is the header
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Events of an iCalendar file as { date, endDate (exclusive), summary, description, recurring }.
+// Only all-day dates matter here, so times and time zones of DTSTART/DTEND are dropped; the
+// dates are not checked yet (see /api/calendar/import). `recurring` is set for RRULE events.
+function parseIcsEvents(text) {
+    const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/); // unfold continuation lines
+    const unescape = (value) => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+    const toDate = (value) => {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    };
+    const events = [];
+    let event = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') event = {};
+        else if (line === 'END:VEVENT') {
+            if (event) events.push(event);
+            event = null;
+        } else if (event) {
+            const separator = line.indexOf(':');
+            if (separator < 0) return;
+            const name = line.slice(0, separator).split(';')[0].toUpperCase();
+            const value = line.slice(separator + 1);
+            if (name === 'DTSTART') event.date = toDate(value);
+            else if (name === 'DTEND') event.endDate = toDate(value);
+            else if (name === 'SUMMARY') event.summary = unescape(value);
+            else if (name === 'DESCRIPTION') event.description = unescape(value);
+            else if (name === 'RRULE') event.recurring = true;
         }
+    });
+    return events;
+}
 
-        // --- Build Headers ---
-        worksheet.columns = [{ header: 'Name', key: 'name', width: 30 }];
-        const headerRow1 = worksheet.getRow(1);
-        const headerRow2 = worksheet.getRow(2);
-        headerRow2.getCell('A').value = 'Name';
-        
-        let currentColumn = 2;
-        weeks.forEach(week => {
-            // Merge cells for the week range header
-            worksheet.mergeCells(1, currentColumn, 1, currentColumn + 4);
-            headerRow1.getCell(currentColumn).value = week.range;
-            headerRow1.getCell(currentColumn).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
-
-            // Add day letters
-            week.days.forEach((day, index) => {
-                const col = worksheet.getColumn(currentColumn + index);
-                col.width = 5;
-                col.style = { alignment: { horizontal: 'center', vertical: 'middle' }};
-                headerRow2.getCell(currentColumn + index).value = day.format('dddd').substring(0,2) === 'Th' ? 'Th' : day.format('ddd').substring(0,1);
-                headerRow2.getCell(currentColumn + index).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
-            });
-            currentColumn += 6; // 5 days + 1 blank column
-        });
-        worksheet.getRow(2).getCell('A').style = { font: { bold: true } };
-
-        // --- Add Data Rows ---
-        employees.forEach((employee, index) => {
-            const rowNumber = index + 3;
-            const row = worksheet.getRow(rowNumber);
-            row.getCell('A').value = employee.name;
-
-            const presenceSet = new Set(employee.presenceDates);
-            let dataColIndex = 2;
-            weeks.forEach(week => {
-                week.days.forEach(day => {
-                    const cell = row.getCell(dataColIndex);
-                    
-                    // Only show data for days that belong to the target month
-                    if (day.month() + 1 !== parseInt(month)) {
-                        cell.value = ''; // Leave blank for days outside the month
-                    } else if (presenceSet.has(day.format('YYYY-MM-DD'))) {
-                        cell.value = '✓';
-                        cell.font = { color: { argb: 'FF008000' } }; // Dark Green
-                        cell.font.size  = 16;      
-                        cell.fill = {
-                            type: 'pattern',
-                            pattern: 'solid',
-                            fgColor: { argb: 'FFD3D3D3' } // Light Gray
-                        };
-                    } else {
-                        cell.value = 'x';
-                    }
-                    dataColIndex++;
-                });
-                dataColIndex++; // Skip a column for the separator
-            });
-        });
-                
-        // --- Styling ---
-        const borderStyle = { style: 'thin' };
-        worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
-            row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-                cell.border = {
-                    top: borderStyle,
-                    left: borderStyle,
-                    bottom: borderStyle,
-                    right: borderStyle
-                };
-            });
-        });
+// Map, validate and normalize one row. Returns { log } or { errors }.
+function validateImportRow(row, mapping, timestampFormat, timezone) {
+    const value = (field) => row[mapping[field]];
+    const errors = [];
 
+    const mac = normalizeMac(value('Mac'));
+    if (!mac) errors.push(`${mapping.Mac}: missing or not a MAC address`);
 
-        // --- Send File ---
-        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-        res.setHeader('Content-Disposition', `attachment; filename="Presence-Report-${year}-${month}.xlsx"`);
-        await workbook.xlsx.write(res);
-        res.end();
+    const firstSeen = parseImportTimestamp(value('FirstSeen'), timestampFormat, timezone);
+    if (!firstSeen) errors.push(`${mapping.FirstSeen}: missing or not a valid timestamp`);
 
-    } catch (error) {
-        console.error('Failed to generate Excel file:', error);
-        res.status(500).send('Failed to generate Excel report.');
+    const rawLastSeen = value('LastSeen');
+    let lastSeen = parseImportTimestamp(rawLastSeen, timestampFormat, timezone);
+    if (rawLastSeen !== undefined && String(rawLastSeen).trim() !== '' && !lastSeen) {
+        errors.push(`${mapping.LastSeen}: not a valid timestamp`);
+    }
+    if (!lastSeen) lastSeen = firstSeen;
+    if (firstSeen && lastSeen && lastSeen.isBefore(firstSeen)) {
+        errors.push(`${mapping.LastSeen}: is before ${mapping.FirstSeen}`);
     }
-});
 
+    if (errors.length) return { errors };
+    const name = value('Name');
+    return {
+        log: {
+            Mac: mac,
+            Name: name === undefined || name === null || String(name).trim() === '' ? null : String(name).trim(),
+            FirstSeen: firstSeen.format(STORED_TIMESTAMP_FORMAT),
+            LastSeen: lastSeen.format(STORED_TIMESTAMP_FORMAT)
+        }
+    };
+}
 
-// --- Start Server ---
-app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
-});
+// --- Employee registry helpers ---
+function formatEmployee(row, devices) {
+    const employee = {
+        id: row.id,
+        display_name: row.display_name,
+        employee_number: row.employee_number,
+        department: row.department,
+        team_id: row.team_id,
+        shift_id: row.shift_id,
+        policy_id: row.policy_id,
+        active: Boolean(row.active),
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+    if (devices) employee.devices = devices;
+    return employee;
+}
 
-/**
- * @route GET /api/day-sessions
- * @desc  Detailed in/out sessions for an employee on a specific date
- * @query name, date, gapMinutes? (default 30)
- */
-app.get('/api/day-sessions', async (req, res) => {
-    try {
-        const { name, date, gapMinutes } = req.query;
-        if (!name || !date) return res.status(400).json({ error: 'name and date are required' });
-        const gap = Number(gapMinutes || 30);
+// Validate an employee body. With `partial` (PUT) only the given fields are checked.
+// Returns { errors } or { values } with the columns to write.
+function parseEmployeeInput(body, partial) {
+    const errors = [];
+    const values = {};
+    const text = (value) => (value === undefined || value === null ? null : String(value).trim() || null);
+
+    if (!partial || body.display_name !== undefined) {
+        values.display_name = text(body.display_name);
+        if (!values.display_name) errors.push('display_name is required.');
+    }
+    if (body.employee_number !== undefined) values.employee_number = text(body.employee_number);
+    if (body.department !== undefined) values.department = text(body.department);
+    if (body.team_id !== undefined) {
+        if (body.team_id !== null && !Number.isInteger(body.team_id)) errors.push('team_id must be a team id or null.');
+        values.team_id = body.team_id;
+    }
+    if (body.shift_id !== undefined) {
+        if (body.shift_id !== null && !Number.isInteger(body.shift_id)) errors.push('shift_id must be a shift id or null.');
+        values.shift_id = body.shift_id;
+    }
+    if (body.policy_id !== undefined) {
+        if (body.policy_id !== null && !Number.isInteger(body.policy_id)) errors.push('policy_id must be a policy id or null.');
+        values.policy_id = body.policy_id;
+    }
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') errors.push('active must be true or false.');
+        values.active = body.active ? 1 : 0;
+    }
+    return errors.length ? { errors } : { values };
+}
 
-        const sql = `SELECT Name, FirstSeen, LastSeen FROM logs 
-                     WHERE date(FirstSeen) = ? OR date(LastSeen) = ?
-                     ORDER BY FirstSeen`;
-        db.all(sql, [date, date], (err, rows) => {
-            if (err) return res.status(500).json({ error: err.message });
+async function teamExists(teamId) {
+    return Boolean(await dbGet(`SELECT id FROM teams WHERE id = ?`, [teamId]));
+}
 
-            const target = normalizeName(name).toLowerCase();
-            const intervals = [];
-            let canonicalName = null;
-            for (const r of rows) {
-                const norm = normalizeName(r.Name);
-                // Match if normalized names are equal (case-insensitive)
-                if (norm.toLowerCase() !== target) continue;
-                canonicalName = canonicalName || norm;
-                const start = new Date(r.FirstSeen);
-                const end = new Date(r.LastSeen || r.FirstSeen);
-                const clamped = clampIntervalToDay([start, end], date);
-                if (clamped) intervals.push(clamped);
-            }
+async function shiftExists(shiftId) {
+    return Boolean(await dbGet(`SELECT id FROM shifts WHERE id = ?`, [shiftId]));
+}
 
-            if (!intervals.length) {
-                return res.json({ employee: name, date, sessions: [], total_hours: '0.00', first_in: null, last_out: null });
-            }
+async function getEmployeeDevices(employeeId) {
+    return dbAll(`SELECT mac, label, alias_of, created_at FROM devices WHERE employee_id = ? ORDER BY mac`, [employeeId]);
+}
+
+// Enabled classification rules, compiled in evaluation order. Read per report so edits apply at once.
+async function loadClassificationRules() {
+    return compileRules(await dbAll(ENABLED_RULES_SQL));
+}
 
-            const merged = mergeSessions(intervals, gap);
-            const sessions = merged.map(([s, e]) => ({ in_time: toLocalISOString(s), out_time: toLocalISOString(e) }));
-            const totalMinutes = merged.reduce((acc, [s, e]) => acc + (e - s) / (1000 * 60), 0);
+function formatRule(row) {
+    return { ...row, enabled: Boolean(row.enabled) };
+}
 
-            res.json({
-                employee: canonicalName || name,
-                date,
-                sessions,
-                total_hours: Number(totalMinutes / 60).toFixed(2),
-                first_in: sessions[0]?.in_time || null,
-                last_out: sessions[sessions.length - 1]?.out_time || null
-            });
+const IGNORED_DEVICE_CATEGORIES = ['infrastructure', 'guest'];
+
+function isUniqueConstraintError(error) {
+    return error && error.code === 'SQLITE_CONSTRAINT' && /UNIQUE/.test(error.message);
+}
+
+// Sightings between two dates of devices that are neither registered nor ignored, in FirstSeen
+// order, each with the `workdays` of the range it touches (see sightingWorkdays)
+async function getUnclaimedSightings(startDate, endDate, site) {
+    const rows = await dbAll(
+        `SELECT Mac, Name, FirstSeen, LastSeen FROM logs
+         WHERE date(FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')${site ? ' AND site = ?' : ''}
+           AND Mac NOT IN (SELECT mac FROM devices)
+           AND Mac NOT IN (SELECT mac FROM ignored_devices)
+         ORDER BY FirstSeen`,
+        site ? [startDate, endDate, site] : [startDate, endDate]
+    );
+    const sightings = [];
+    rows.forEach(row => {
+        const interval = sightingInterval(row);
+        const workdays = interval ? sightingWorkdays(interval, startDate, endDate) : [];
+        if (workdays.length) sightings.push({ Mac: row.Mac, Name: row.Name, workdays });
+    });
+    return sightings;
+}
+
+// Devices seen between two dates that are neither registered nor ignored and that the name
+// heuristic rejected (no classification rule matched) — the candidates an admin still has
+// to claim. Devices excluded by an explicit rule are not listed.
+async function getUnregisteredDevices(startDate, endDate, site) {
+    const rules = await loadClassificationRules();
+    const siteFilter = site ? ` AND site = ?` : '';
+    const siteParams = site ? [site] : [];
+
+    const byMac = new Map();
+    (await getUnclaimedSightings(startDate, endDate, site)).forEach(row => {
+        const { included, rule_id } = classifyDevice(rules, { mac: row.Mac, name: row.Name });
+        if (included || rule_id !== null) return;
+        if (!byMac.has(row.Mac)) byMac.set(row.Mac, { mac: row.Mac, name: row.Name, dates: new Set() });
+        const device = byMac.get(row.Mac);
+        device.name = row.Name; // rows are in FirstSeen order, so this ends on the latest name
+        row.workdays.forEach(date => device.dates.add(date));
+    });
+    if (!byMac.size) return [];
+
+    // First/last seen span all of the device's history, not just this month
+    const macs = Array.from(byMac.keys());
+    const spans = await dbAll(
+        `SELECT Mac, MIN(FirstSeen) AS firstSeen, MAX(COALESCE(LastSeen, FirstSeen)) AS lastSeen FROM logs
+         WHERE Mac IN (${macs.map(() => '?').join(', ')})${siteFilter}
+         GROUP BY Mac`,
+        [...macs, ...siteParams]
+    );
+    const spanByMac = new Map(spans.map(span => [span.Mac, span]));
+
+    return Array.from(byMac.values()).map(({ dates, ...device }) => ({
+        ...device,
+        private_mac: isLocallyAdministeredMac(device.mac),
+        first_seen: spanByMac.get(device.mac).firstSeen,
+        last_seen: spanByMac.get(device.mac).lastSeen,
+        days_seen: dates.size
+    })).sort((a, b) => b.days_seen - a.days_seen || a.mac.localeCompare(b.mac));
+}
+
+// Sightings per MAC over all of history, for the merge suggestions. Counting them scans every
+// log, so they are kept until a sync run or an import has written logs.
+let macLogStatsCache = null;
+
+function invalidateMacLogStats() {
+    macLogStatsCache = null;
+}
+
+function getMacLogStats() {
+    if (!macLogStatsCache) {
+        const promise = loadMacLogStats();
+        macLogStatsCache = promise;
+        promise.catch(() => { if (macLogStatsCache === promise) macLogStatsCache = null; });
+    }
+    return macLogStatsCache;
+}
+
+// Mac -> { name (the latest), names: Map of name -> { firstSeen, lastSeen }, firstSeen, lastSeen, daysSeen }
+async function loadMacLogStats() {
+    const rows = await dbAll(
+        `SELECT Mac, Name, MIN(FirstSeen) AS firstSeen, MAX(FirstSeen) AS latestFirstSeen,
+                MAX(COALESCE(LastSeen, FirstSeen)) AS lastSeen
+         FROM logs
+         GROUP BY Mac, Name`
+    );
+    // Workdays each MAC was seen on, bucketed like the presence report (see sightingWorkdays)
+    const days = new Map();
+    await new Promise((resolve, reject) => {
+        db.each(`SELECT Mac, FirstSeen, LastSeen FROM logs`, (err, row) => {
+            const interval = !err && sightingInterval(row);
+            if (!interval) return;
+            if (!days.has(row.Mac)) days.set(row.Mac, new Set());
+            listWorkdays(interval).forEach(date => days.get(row.Mac).add(date));
+        }, (err) => (err ? reject(err) : resolve()));
+    });
+    const stats = new Map();
+    rows.forEach(row => {
+        if (!stats.has(row.Mac)) {
+            const daysSeen = days.has(row.Mac) ? days.get(row.Mac).size : 0;
+            stats.set(row.Mac, { name: null, latest: null, names: new Map(), firstSeen: null, lastSeen: null, daysSeen });
+        }
+        const stat = stats.get(row.Mac);
+        stat.names.set(row.Name, { firstSeen: row.firstSeen, lastSeen: row.lastSeen });
+        if (stat.latest === null || row.latestFirstSeen > stat.latest) {
+            stat.latest = row.latestFirstSeen;
+            stat.name = row.Name;
+        }
+        if (stat.firstSeen === null || row.firstSeen < stat.firstSeen) stat.firstSeen = row.firstSeen;
+        if (stat.lastSeen === null || row.lastSeen > stat.lastSeen) stat.lastSeen = row.lastSeen;
+    });
+    return stats;
+}
+
+// A randomized MAC whose first/last seen is within this many days of a registered device
+// of the same person (without overlapping it) looks like that device after a MAC rotation.
+const MAC_MERGE_CONTINUITY_DAYS = 30;
+
+/**
+ * Suggests which employee each unclaimed locally-administered (randomized) MAC belongs to.
+ * A candidate needs a name signal: the device name matches a name one of the employee's
+ * registered devices reported, or the employee's display name. The score goes up when the
+ * device type suffix matches too and when the MAC's activity picks up where a registered
+ * device's stopped (time continuity). Dismissed pairs are skipped.
+ */
+async function getMacMergeSuggestions() {
+    const stats = await getMacLogStats();
+    const claimed = new Set((await dbAll(`SELECT mac FROM devices UNION SELECT mac FROM ignored_devices`)).map(r => r.mac));
+    // One candidate per unclaimed MAC, named after the name it reported most recently
+    const candidates = Array.from(stats.entries())
+        .filter(([mac]) => !claimed.has(mac))
+        .map(([mac, stat]) => ({ Mac: mac, Name: stat.name, firstSeen: stat.firstSeen, lastSeen: stat.lastSeen, daysSeen: stat.daysSeen }));
+    // One row per registered device of an active employee and name it reported
+    const knownDevices = [];
+    (await dbAll(
+        `SELECT d.mac, d.employee_id, e.display_name FROM devices d
+         JOIN employees e ON e.id = d.employee_id
+         WHERE e.active = 1`
+    )).forEach(known => {
+        const stat = stats.get(known.mac);
+        if (!stat) return knownDevices.push({ ...known, Name: null, firstSeen: null, lastSeen: null });
+        stat.names.forEach((span, name) => knownDevices.push({ ...known, Name: name, ...span }));
+    });
+    const rejected = new Set((await dbAll(`SELECT mac, employee_id FROM mac_merge_rejections`))
+        .map(r => `${r.mac}|${r.employee_id}`));
+
+    const lower = (value) => (value || '').toLowerCase();
+    const suggestions = [];
+    candidates.forEach(row => {
+        if (!isLocallyAdministeredMac(row.Mac)) return;
+        const device = { mac: row.Mac, name: row.Name, first_seen: row.firstSeen, last_seen: row.lastSeen, days_seen: row.daysSeen };
+        const name = lower(normalizeName(device.name));
+        if (!device.name || name === 'unregistered device') return;
+        const suffix = lower(deviceSuffix(device.name));
+        const best = new Map(); // employee_id -> best suggestion
+
+        knownDevices.forEach(known => {
+            if (rejected.has(`${device.mac}|${known.employee_id}`)) return;
+            const nameMatch = (known.Name && lower(normalizeName(known.Name)) === name)
+                || lower(known.display_name) === lower(formatNameForExcel(device.name));
+            if (!nameMatch) return;
+
+            const deviceType = Boolean(suffix) && lower(deviceSuffix(known.Name)) === suffix;
+            let timeContinuity = false;
+            if (known.firstSeen && known.lastSeen) {
+                const gapAfter = moment(device.first_seen).diff(moment(known.lastSeen), 'days', true);
+                const gapBefore = moment(known.firstSeen).diff(moment(device.last_seen), 'days', true);
+                timeContinuity = (gapAfter >= 0 && gapAfter <= MAC_MERGE_CONTINUITY_DAYS)
+                    || (gapBefore >= 0 && gapBefore <= MAC_MERGE_CONTINUITY_DAYS);
+            }
+            const score = Number((0.6 + (deviceType ? 0.2 : 0) + (timeContinuity ? 0.2 : 0)).toFixed(2));
+            const previous = best.get(known.employee_id);
+            if (previous && previous.score >= score) return;
+            best.set(known.employee_id, {
+                ...device,
+                employee_id: known.employee_id,
+                employee_name: known.display_name,
+                alias_of: known.mac,
+                score,
+                signals: { name: true, device_type: deviceType, time_continuity: timeContinuity }
+            });
+        });
+        suggestions.push(...best.values());
+    });
+
+    return suggestions.sort((a, b) => b.score - a.score || a.mac.localeCompare(b.mac));
+}
+
+// One person's sessions on one workday, as /api/day-sessions shows them: their sightings
+// (intervals of parsed timestamps, see lib/timezone.js) clamped to the day and merged
+function mergeDaySessions(intervals, date, workdayStart, gapMinutes = 30) {
+    const clamped = intervals.map(interval => clampIntervalToDay(interval, date, workdayStart)).filter(Boolean);
+    return mergeSessions(clamped, gapMinutes);
+}
+
+const sessionHours = (merged) => merged.reduce((acc, [s, e]) => acc + (e - s), 0) / (1000 * 60 * 60);
+
+// Classify one person's workday from its merged sessions (see mergeDaySessions) with
+// PRESENCE_RULE: 'present', 'partial' or null (not counted).
+function classifyPresenceDay(merged) {
+    const hours = sessionHours(merged);
+    if (hours >= PRESENCE_RULE.min_hours && merged.length >= PRESENCE_RULE.min_sessions) return 'present';
+    if (PRESENCE_RULE.partial_min_hours !== null && merged.length && hours >= PRESENCE_RULE.partial_min_hours) return 'partial';
+    return null;
+}
+
+// --- Reusable Data Fetching Function ---
+// Log rows the presence report reads, with the employee each registered device belongs to.
+// Sessions starting the day before or after can belong to a workday of the range.
+function presenceLogsQuery(startDate, endDate, site, team) {
+    let sql = `SELECT l.Mac, l.Name, l.FirstSeen, l.LastSeen, e.id AS employeeId, e.display_name, e.employee_number, e.department, e.active,
+                      e.team_id, t.name AS team_name
+               FROM logs l
+               LEFT JOIN devices d ON d.mac = l.Mac
+               LEFT JOIN employees e ON e.id = d.employee_id
+               LEFT JOIN teams t ON t.id = e.team_id
+               WHERE date(l.FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')
+                 AND l.Mac NOT IN (SELECT mac FROM ignored_devices)`;
+    const params = [startDate, endDate];
+    if (site) {
+        sql += ` AND l.site = ?`;
+        params.push(site);
+    }
+    if (team) {
+        sql += ` AND e.team_id = ?`;
+        params.push(team);
+    }
+    return { sql, params };
+}
+
+// The person a log row counts for: { key, info } for a registered employee's device or for an
+// unregistered device the classification rules (or the name heuristic) count as a person, else null
+function presencePerson(row, rules) {
+    if (row.employeeId) {
+        return {
+            key: `employee:${row.employeeId}`,
+            info: {
+                name: row.display_name,
+                employee_id: row.employeeId,
+                employee_number: row.employee_number,
+                department: row.department,
+                team_id: row.team_id,
+                team_name: row.team_name,
+                active: Boolean(row.active)
+            }
+        };
+    }
+    if (!classifyDevice(rules, { mac: row.Mac, name: row.Name }).included) return null;
+    const normalized = normalizeName(row.Name);
+    return { key: `name:${normalized}`, info: { name: formatNameForExcel(normalized), employee_id: null, team_id: null, team_name: null } };
+}
+
+// A log row's session as [start, end] parsed timestamps; null when FirstSeen doesn't parse.
+// A LastSeen before FirstSeen (0001-01-01 for sessions the source never saw end) is a single sighting.
+function sightingInterval(row) {
+    const start = parseStoredTimestamp(row.FirstSeen);
+    const end = parseStoredTimestamp(row.LastSeen || row.FirstSeen);
+    if (Number.isNaN(start.getTime())) return null;
+    return [start, end >= start ? end : start];
+}
+
+// Workdays of startDate..endDate a session touches, as the presence report buckets them
+function sightingWorkdays(interval, startDate, endDate, workdayStart = WORKDAY_START) {
+    return listWorkdays(interval, workdayStart).filter(date => date >= startDate && date <= endDate);
+}
+
+// Files a log row's sighting under each workday of the range it touches; the days are
+// classified once all of the person's rows are in (see summarizePresence)
+function addPresenceSighting(person, row, startDate, endDate) {
+    const interval = sightingInterval(row);
+    if (!interval) return;
+    sightingWorkdays(interval, startDate, endDate, person.workdayStart).forEach(date => {
+        if (!person.dates.has(date)) person.dates.set(date, []);
+        person.dates.get(date).push(interval);
+    });
+}
+
+// A person's report entry from their sightings; null when no day counts as present or partial
+function summarizePresence({ dates, workdayStart, ...info }, withSessions) {
+    const presenceDates = [];
+    const partialDates = [];
+    const daySessions = [];
+    let totalHours = 0;
+    dates.forEach((intervals, date) => {
+        const merged = mergeDaySessions(intervals, date, workdayStart, PRESENCE_RULE.gap_minutes);
+        const status = classifyPresenceDay(merged);
+        if (status === 'present') presenceDates.push(date);
+        else if (status === 'partial') partialDates.push(date);
+        totalHours += sessionHours(merged);
+        if (withSessions && merged.length) daySessions.push({ date, sessions: merged });
+    });
+    if (!presenceDates.length && !partialDates.length) return null;
+    const employee = { ...info, presenceDates: presenceDates.sort(), partialDates: partialDates.sort(), total_hours: Number(totalHours.toFixed(2)) };
+    if (withSessions) employee.daySessions = daySessions.sort((a, b) => a.date.localeCompare(b.date));
+    return employee;
+}
+
+// Presence between startDate and endDate (YYYY-MM-DD, inclusive). Devices registered in the employees/devices tables are grouped by employee; every other
+// device is grouped by name if the classification rules count it as a person. `site` limits the report to one office.
+// `team` (a team id) keeps only that team's registered employees. Days are counted with
+// PRESENCE_RULE: `presenceDates` holds the present days and `partialDates` the partial ones.
+// `total_hours` adds up the merged sessions of every day seen. With `withSessions`, each
+// person also gets `daySessions`: [{ date, sessions: [[in, out], ...] }] for the days seen.
+async function getPresenceData(startDate, endDate, site, team, withSessions = false) {
+    const rules = await loadClassificationRules();
+    const workdayStarts = await getEmployeeWorkdayStarts();
+    const { sql, params } = presenceLogsQuery(startDate, endDate, site, team);
+    const rows = await dbAll(sql, params);
+
+    const people = new Map();
+    rows.forEach(row => {
+        const match = presencePerson(row, rules);
+        if (!match) return;
+        if (!people.has(match.key)) people.set(match.key, { ...match.info, workdayStart: workdayStarts.get(match.info.employee_id) || WORKDAY_START, dates: new Map() });
+        addPresenceSighting(people.get(match.key), row, startDate, endDate);
+    });
+
+    const employees = [];
+    people.forEach(person => {
+        const employee = summarizePresence(person, withSessions);
+        if (employee) employees.push(employee);
+    });
+    return employees.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// getPresenceData one person at a time, for exports of long ranges: yields the same entries in
+// the same order, but reads a person's logs only when their turn comes, so the sessions of one
+// person are in memory at a time rather than the whole range's.
+async function* streamPresenceData(startDate, endDate, site, team, withSessions = false) {
+    const rules = await loadClassificationRules();
+    const workdayStarts = await getEmployeeWorkdayStarts();
+    const { sql, params } = presenceLogsQuery(startDate, endDate, site, team);
+
+    // Who was seen, from one row per device and name it reported
+    const people = new Map();
+    const devices = await dbAll(
+        `SELECT DISTINCT Mac, Name, employeeId, display_name, employee_number, department, active, team_id, team_name FROM (${sql})`,
+        params
+    );
+    devices.forEach(row => {
+        const match = presencePerson(row, rules);
+        if (!match) return;
+        if (!people.has(match.key)) people.set(match.key, { ...match, macs: new Set() });
+        people.get(match.key).macs.add(row.Mac);
+    });
+
+    const ordered = Array.from(people.values()).sort((a, b) => a.info.name.localeCompare(b.info.name));
+    for (const { key, info, macs } of ordered) {
+        const macList = Array.from(macs);
+        const rows = await dbAll(`${sql} AND l.Mac IN (${macList.map(() => '?').join(', ')})`, [...params, ...macList]);
+        const person = { ...info, workdayStart: workdayStarts.get(info.employee_id) || WORKDAY_START, dates: new Map() };
+        rows.forEach(row => {
+            const match = presencePerson(row, rules);
+            if (match && match.key === key) addPresenceSighting(person, row, startDate, endDate);
+        });
+        const employee = summarizePresence(person, withSessions);
+        if (employee) yield employee;
+    }
+}
+
+// --- Report periods ---
+// Reports cover a from/to range or a named period: a month, a payroll cutoff (semi-monthly:
+// the 1st to the PAYROLL_CUTOFF_DAY and the rest of the month), an ISO week, a quarter or a year.
+const REPORT_PERIODS = ['month', 'cutoff', 'week', 'quarter', 'year'];
+const PAYROLL_CUTOFF_DAY = 15;
+
+/**
+ * Reads the report range from a request query: `from` and `to` (YYYY-MM-DD), or `year` with
+ * `period` (default 'month') and the part of the year it needs: `month` (month, cutoff),
+ * `cutoff` 1 or 2, `week` (ISO week of the ISO year `year`) or `quarter` 1-4.
+ * @returns {{ error } | { startDate, endDate, label, key }} `key` names the period in file names
+ */
+function resolveReportPeriod(query) {
+    const { from, to, year } = query;
+    if (from || to) {
+        if (!isValidDateString(from) || !isValidDateString(to) || from > to) return { error: 'from and to must be YYYY-MM-DD dates, from on or before to.' };
+        if (moment(to).diff(moment(from), 'days') >= MAX_REPORT_RANGE_DAYS) return { error: `A report may cover at most ${MAX_REPORT_RANGE_DAYS} days.` };
+        return { startDate: from, endDate: to, label: `${moment(from).format('MMM D, YYYY')} - ${moment(to).format('MMM D, YYYY')}`, key: `${from}_${to}` };
+    }
+    const period = query.period || 'month';
+    if (!REPORT_PERIODS.includes(period)) return { error: `period must be one of: ${REPORT_PERIODS.join(', ')}.` };
+    if (!/^\d{4}$/.test(year || '')) return { error: 'Give from and to, or a year (with month, cutoff, week or quarter for the period).' };
+    const partOfYear = (name, max) => {
+        const value = Number(query[name]);
+        return Number.isInteger(value) && value >= 1 && value <= max ? value : null;
+    };
+    const range = (start, end, label, key) => ({ startDate: start.format('YYYY-MM-DD'), endDate: end.format('YYYY-MM-DD'), label, key });
+
+    if (period === 'year') return range(moment(`${year}-01-01`), moment(`${year}-12-31`), year, year);
+    if (period === 'quarter') {
+        const quarter = partOfYear('quarter', 4);
+        if (!quarter) return { error: 'quarter must be 1-4.' };
+        const start = moment(`${year}-01-01`).quarter(quarter);
+        return range(start, start.clone().endOf('quarter'), `Q${quarter} ${year}`, `${year}-Q${quarter}`);
+    }
+    if (period === 'week') {
+        const week = partOfYear('week', moment(`${year}-06-01`).isoWeeksInYear());
+        if (!week) return { error: `week must be 1-${moment(`${year}-06-01`).isoWeeksInYear()} (ISO weeks of ${year}).` };
+        const start = moment(`${year}-06-01`).isoWeek(week).startOf('isoWeek');
+        const end = start.clone().endOf('isoWeek');
+        return range(start, end, `Week ${week}, ${year} (${start.format('MMM D')} - ${end.format('MMM D')})`, `${year}-W${String(week).padStart(2, '0')}`);
+    }
+    const month = partOfYear('month', 12);
+    if (!month) return { error: 'month must be 1-12.' };
+    const start = moment(`${year}-${String(month).padStart(2, '0')}-01`);
+    const end = start.clone().endOf('month');
+    if (period === 'month') return range(start, end, start.format('MMMM YYYY'), start.format('YYYY-MM'));
+    const cutoff = partOfYear('cutoff', 2);
+    if (!cutoff) return { error: `cutoff must be 1 (days 1-${PAYROLL_CUTOFF_DAY}) or 2 (day ${PAYROLL_CUTOFF_DAY + 1} to the end of the month).` };
+    const cutoffStart = cutoff === 1 ? start : start.clone().date(PAYROLL_CUTOFF_DAY + 1);
+    const cutoffEnd = cutoff === 1 ? start.clone().date(PAYROLL_CUTOFF_DAY) : end;
+    return range(cutoffStart, cutoffEnd, `${start.format('MMMM')} ${cutoffStart.date()}-${cutoffEnd.date()}, ${year}`, `${start.format('YYYY-MM')}-C${cutoff}`);
+}
+
+// --- Work calendar ---
+const CALENDAR_DAY_TYPES = ['regular_holiday', 'special_holiday', 'local_holiday', 'office_closure', 'working_day'];
+
+function monthDateRange(year, month) {
+    const first = moment(`${year}-${month.toString().padStart(2, '0')}-01`);
+    return { startDate: first.format('YYYY-MM-DD'), endDate: first.clone().endOf('month').format('YYYY-MM-DD') };
+}
+
+// Calendar entries between two dates that apply to `site`, as a Map of date -> entry.
+// A site's own entry wins over an all-site entry on the same date; without a site only
+// all-site entries apply.
+async function getWorkCalendar(startDate, endDate, site) {
+    const rows = await dbAll(
+        `SELECT id, date, type, name, site FROM calendar_days
+         WHERE date BETWEEN ? AND ? AND (site IS NULL${site ? ' OR site = ?' : ''})
+         ORDER BY date, site IS NOT NULL`,
+        site ? [startDate, endDate, site] : [startDate, endDate]
+    );
+    const calendar = new Map();
+    rows.forEach(row => calendar.set(row.date, row)); // site-specific rows come last
+    return calendar;
+}
+
+// Mon–Fri, except holidays and closures, plus special working days on weekends
+function isWorkingDay(date, calendar) {
+    const entry = calendar.get(date);
+    if (entry) return entry.type === 'working_day';
+    return moment(date).isoWeekday() <= 5;
+}
+
+// Working dates of a report range, the days attendance rates are measured against
+function listWorkingDays(startDate, endDate, calendar) {
+    return listDates(startDate, endDate).filter(date => isWorkingDay(date, calendar));
+}
+
+// Attendance of a group of people ({ presenceDates }) over a report range: headcount, average
+// attendance rate on working days, and how many of them were present each day.
+function summarizeAttendance(people, startDate, endDate, calendar) {
+    const workingDays = listWorkingDays(startDate, endDate, calendar);
+    const working = new Set(workingDays);
+    const days = listDates(startDate, endDate);
+    const perDay = new Map(days.map(date => [date, 0]));
+    let rateTotal = 0;
+    people.forEach(person => {
+        const dates = new Set(person.presenceDates);
+        dates.forEach(date => perDay.has(date) && perDay.set(date, perDay.get(date) + 1));
+        if (workingDays.length) rateTotal += Array.from(dates).filter(date => working.has(date)).length / workingDays.length;
+    });
+    return {
+        headcount: people.length,
+        working_days: workingDays.length,
+        attendance_rate: people.length ? Number((rateTotal / people.length).toFixed(4)) : 0,
+        headcount_per_day: Array.from(perDay, ([date, headcount]) => ({ date, headcount }))
+    };
+}
+
+/**
+ * Splits report rows by team, in team-name order with people without a team last.
+ * Active team members who were never seen in the range count in the team's headcount and
+ * attendance rate (as 0%). With `team`, only that team is returned.
+ * @returns {Promise<Array<{team_id, team, department, employees, summary}>>}
+ */
+async function groupPresenceByTeam(employees, startDate, endDate, team, calendar) {
+    const teams = await dbAll(`SELECT * FROM teams${team ? ' WHERE id = ?' : ''} ORDER BY name`, team ? [team] : []);
+    const roster = await dbAll(`SELECT id, team_id FROM employees WHERE active = 1 AND team_id IS NOT NULL`);
+    const groups = teams.map(t => ({ team_id: t.id, team: t.name, department: t.department, employees: [] }));
+    const byId = new Map(groups.map(group => [group.team_id, group]));
+    const unassigned = { team_id: null, team: 'Unassigned', department: null, employees: [] };
+
+    employees.forEach(employee => {
+        const group = employee.team_id ? byId.get(employee.team_id) : unassigned;
+        if (group) group.employees.push(employee);
+    });
+    if (unassigned.employees.length) groups.push(unassigned);
+
+    return groups.map(group => {
+        const seen = new Set(group.employees.map(e => e.employee_id));
+        const absent = roster.filter(r => r.team_id === group.team_id && !seen.has(r.id)).map(() => ({ presenceDates: [] }));
+        return { ...group, summary: summarizeAttendance([...group.employees, ...absent], startDate, endDate, calendar) };
+    });
+}
+
+// --- Leaves ---
+const LEAVE_TYPES = {
+    VL: 'Vacation leave',
+    SL: 'Sick leave',
+    OB: 'Official business',
+    WFH: 'Work from home'
+};
+
+// Validate a leave body (merged over the stored leave for updates). Returns { error } or { values }.
+function parseLeaveInput(body) {
+    const values = {
+        employee_id: Number(body.employee_id),
+        type: String(body.type || '').toUpperCase(),
+        start_date: body.start_date,
+        end_date: body.end_date || body.start_date,
+        half_day: body.half_day ? String(body.half_day).toLowerCase() : null,
+        note: body.note ? String(body.note).trim() : null
+    };
+    if (!Number.isInteger(values.employee_id)) return { error: 'employee_id is required.' };
+    if (!LEAVE_TYPES[values.type]) return { error: `type must be one of: ${Object.keys(LEAVE_TYPES).join(', ')}.` };
+    if (!isValidDateString(values.start_date) || !isValidDateString(values.end_date) || values.start_date > values.end_date) {
+        return { error: 'start_date and end_date must be valid YYYY-MM-DD dates with start_date <= end_date.' };
+    }
+    if (values.half_day && values.half_day !== 'am' && values.half_day !== 'pm') return { error: "half_day must be 'am' or 'pm'." };
+    if (values.half_day && values.start_date !== values.end_date) return { error: 'A half-day leave must start and end on the same date.' };
+    return { values };
+}
+
+// Leaves that share a date with the given one, except two half days on different halves
+async function findOverlappingLeave(values, excludeId) {
+    const rows = await dbAll(
+        `SELECT * FROM leaves WHERE employee_id = ? AND start_date <= ? AND end_date >= ? AND id != ?`,
+        [values.employee_id, values.end_date, values.start_date, excludeId || 0]
+    );
+    return rows.find(row => !(row.half_day && values.half_day && row.half_day !== values.half_day));
+}
+
+/**
+ * Adds each registered employee's leave in the month to the report rows: `leaves` lists
+ * the working days on leave ({ date, type, half_day }), `leave_days` counts them (half days
+ * as 0.5) and `leave_summary` breaks that down per type. Employees on leave who were never
+ * seen in the range are added so their leave still shows.
+ */
+async function attachLeaves(employees, startDate, endDate, team, calendar) {
+    let sql = `SELECT lv.*, e.display_name, e.employee_number, e.department, e.team_id, e.active, t.name AS team_name
+               FROM leaves lv
+               JOIN employees e ON e.id = lv.employee_id
+               LEFT JOIN teams t ON t.id = e.team_id
+               WHERE lv.start_date <= ? AND lv.end_date >= ?`;
+    const params = [endDate, startDate];
+    if (team) {
+        sql += ` AND e.team_id = ?`;
+        params.push(team);
+    }
+    const rows = await dbAll(`${sql} ORDER BY lv.start_date`, params);
+
+    const byEmployee = new Map(employees.filter(e => e.employee_id).map(e => [e.employee_id, e]));
+    employees.forEach(employee => Object.assign(employee, { leaves: [], leave_days: 0, leave_summary: {} }));
+    rows.forEach(leave => {
+        let employee = byEmployee.get(leave.employee_id);
+        if (!employee) {
+            employee = {
+                name: leave.display_name,
+                employee_id: leave.employee_id,
+                employee_number: leave.employee_number,
+                department: leave.department,
+                team_id: leave.team_id,
+                team_name: leave.team_name,
+                active: Boolean(leave.active),
+                presenceDates: [],
+                partialDates: [],
+                total_hours: 0,
+                leaves: [],
+                leave_days: 0,
+                leave_summary: {}
+            };
+            byEmployee.set(leave.employee_id, employee);
+            employees.push(employee);
+        }
+        const from = leave.start_date > startDate ? leave.start_date : startDate;
+        const to = leave.end_date < endDate ? leave.end_date : endDate;
+        listDates(from, to).filter(date => isWorkingDay(date, calendar)).forEach(date => {
+            const days = leave.half_day ? 0.5 : 1;
+            employee.leaves.push({ date, type: leave.type, half_day: leave.half_day });
+            employee.leave_days += days;
+            employee.leave_summary[leave.type] = (employee.leave_summary[leave.type] || 0) + days;
+        });
+    });
+    employees.sort((a, b) => a.name.localeCompare(b.name));
+    return employees;
+}
+
+// --- Shift schedules ---
+const SHIFT_TYPES = ['fixed', 'flexible'];
+const SHIFT_WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']; // index + 1 = ISO weekday
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const minutesOfDay = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3, 5));
+
+function formatShift(row) {
+    return { ...row, days: row.days ? JSON.parse(row.days) : {} };
+}
+
+/**
+ * Validates a shift body (merged over the stored shift for updates). Returns { error } or { values }.
+ * - fixed:    work from start_time to end_time ('HH:mm'); an end_time before start_time is
+ *             an overnight shift ending the next morning
+ * - flexible: start_time/end_time are the core hours everyone must be in; required_hours
+ *             counts from first in to last out (breaks included)
+ * `days` overrides single weekdays ({ sat: { start_time, end_time, required_hours? } } or
+ * { fri: null } for a day off); the other days follow the work calendar.
+ */
+function parseShiftInput(body) {
+    const values = {
+        name: body.name ? String(body.name).trim() : '',
+        type: body.type || 'fixed',
+        start_time: body.start_time,
+        end_time: body.end_time,
+        required_hours: body.required_hours === undefined || body.required_hours === null ? null : Number(body.required_hours),
+        grace_minutes: body.grace_minutes === undefined || body.grace_minutes === null ? 0 : body.grace_minutes,
+        days: body.days === undefined || body.days === null ? {} : body.days
+    };
+    if (!values.name) return { error: 'name is required.' };
+    if (!SHIFT_TYPES.includes(values.type)) return { error: `type must be one of: ${SHIFT_TYPES.join(', ')}.` };
+    if (!Number.isInteger(values.grace_minutes) || values.grace_minutes < 0) return { error: 'grace_minutes must be a whole number of minutes.' };
+    const hoursError = (hours) => {
+        const { start_time: start, end_time: end, required_hours: required } = hours;
+        if (!TIME_OF_DAY_PATTERN.test(start || '') || !TIME_OF_DAY_PATTERN.test(end || '')) return 'start_time and end_time must be HH:mm times.';
+        if (end === start) return 'end_time must differ from start_time.';
+        if (values.type === 'flexible' && !(required > 0 && required <= 24)) return 'required_hours (1-24) is required for flexible shifts.';
+        return null;
+    };
+    const error = hoursError(values);
+    if (error) return { error };
+    if (typeof values.days !== 'object' || Array.isArray(values.days)) return { error: 'days must be an object keyed by weekday (mon-sun).' };
+    const days = {};
+    for (const [weekday, hours] of Object.entries(values.days)) {
+        if (!SHIFT_WEEKDAYS.includes(weekday)) return { error: `days: '${weekday}' is not a weekday (mon-sun).` };
+        if (hours === null) {
+            days[weekday] = null;
+            continue;
+        }
+        if (typeof hours !== 'object') return { error: `days.${weekday} must be null or { start_time, end_time }.` };
+        const dayHours = { ...hours, required_hours: hours.required_hours === undefined ? values.required_hours : Number(hours.required_hours) };
+        const dayError = hoursError(dayHours);
+        if (dayError) return { error: `days.${weekday}: ${dayError}` };
+        days[weekday] = { start_time: dayHours.start_time, end_time: dayHours.end_time, required_hours: dayHours.required_hours };
+    }
+    return { values: { ...values, days: JSON.stringify(days) } };
+}
+
+// Hours expected of someone on `shift` on `date`, or null for a day off. Holidays and closures
+// are days off and special working days use the shift's usual hours; otherwise a weekday
+// override decides, and days without one follow the work calendar.
+function shiftScheduleFor(shift, date, calendar) {
+    const usual = { start_time: shift.start_time, end_time: shift.end_time, required_hours: shift.required_hours };
+    const entry = calendar.get(date);
+    if (entry) return entry.type === 'working_day' ? usual : null;
+    const weekday = SHIFT_WEEKDAYS[moment(date).isoWeekday() - 1];
+    if (weekday in shift.days) return shift.days[weekday];
+    return isWorkingDay(date, calendar) ? usual : null;
+}
+
+const isOvernightShift = (shift) => minutesOfDay(shift.end_time) < minutesOfDay(shift.start_time);
+
+// Workday boundary ('HH:mm') of someone on an overnight shift: halfway through the hours off,
+// e.g. 14:00 for 22:00-06:00, so the whole night is attributed to the day it started
+function shiftWorkdayStart(shift) {
+    const end = minutesOfDay(shift.end_time);
+    const offMinutes = minutesOfDay(shift.start_time) - end;
+    const boundary = end + Math.floor(offMinutes / 2);
+    return `${String(Math.floor(boundary / 60)).padStart(2, '0')}:${String(boundary % 60).padStart(2, '0')}`;
+}
+
+// Map employeeId -> workday boundary for employees whose shift (their own, else their team's)
+// is an overnight shift; everyone else's workday starts at WORKDAY_START
+async function getEmployeeWorkdayStarts() {
+    const rows = await dbAll(`SELECT e.id, s.start_time, s.end_time FROM employees e
+                              LEFT JOIN teams t ON t.id = e.team_id
+                              JOIN shifts s ON s.id = COALESCE(e.shift_id, t.shift_id)`);
+    return new Map(rows.filter(isOvernightShift).map(row => [row.id, shiftWorkdayStart(row)]));
+}
+
+/**
+ * Merged sessions of registered employees per workday, for the workdays between startDate
+ * and endDate: Map employeeId -> Map date -> [[in, out], ...] (see lib/timezone.js for the Dates).
+ * Workdays start at WORKDAY_START, or halfway through the hours off for overnight shifts.
+ */
+async function getEmployeeDaySessions(startDate, endDate, site, gapMinutes = 30) {
+    const workdayStarts = await getEmployeeWorkdayStarts();
+    let sql = `SELECT d.employee_id, l.FirstSeen, l.LastSeen FROM logs l
+               JOIN devices d ON d.mac = l.Mac
+               WHERE date(l.FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')`;
+    const params = [startDate, endDate];
+    if (site) {
+        sql += ` AND l.site = ?`;
+        params.push(site);
+    }
+    const rows = await dbAll(sql, params);
+    const intervals = new Map();
+    rows.forEach(row => {
+        const start = parseStoredTimestamp(row.FirstSeen);
+        let end = parseStoredTimestamp(row.LastSeen || row.FirstSeen);
+        if (Number.isNaN(start.getTime())) return;
+        // The source reports sessions it never saw end with a LastSeen of 0001-01-01; count them as one sighting
+        if (Number.isNaN(end.getTime()) || end < start) end = start;
+        if (!intervals.has(row.employee_id)) intervals.set(row.employee_id, new Map());
+        const byDate = intervals.get(row.employee_id);
+        const workdayStart = workdayStarts.get(row.employee_id) || WORKDAY_START;
+        listWorkdays([start, end], workdayStart).forEach(date => {
+            if (date < startDate || date > endDate) return;
+            const clamped = clampIntervalToDay([start, end], date, workdayStart);
+            if (!clamped) return;
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(clamped);
+        });
+    });
+    intervals.forEach(byDate => byDate.forEach((list, date) => byDate.set(date, mergeSessions(list, gapMinutes))));
+    return intervals;
+}
+
+// Late, undertime and overtime minutes of one scheduled day, from the first in and last out.
+// Arriving within the grace period is not late; past it, lateness counts from the start time.
+function computeDayExceptions(shift, schedule, date, firstIn, lastOut) {
+    const at = (time) => new Date(`${date}T${time}:00Z`);
+    const minutes = (ms) => Math.max(0, Math.round(ms / (1000 * 60)));
+    const start = at(schedule.start_time);
+    const end = at(schedule.end_time);
+    if (end < start) end.setUTCDate(end.getUTCDate() + 1); // Overnight: ends the next morning
+    let late = minutes(firstIn - start);
+    if (late <= shift.grace_minutes) late = 0;
+    if (shift.type === 'flexible') {
+        const span = minutes(lastOut - firstIn);
+        const required = Math.round(schedule.required_hours * 60);
+        return { late, undertime: Math.max(required - span, minutes(end - lastOut), 0), overtime: Math.max(span - required, 0) };
+    }
+    return { late, undertime: minutes(end - lastOut), overtime: minutes(lastOut - end) };
+}
+
+/**
+ * Compares every active employee who has a shift (their own, else their team's) with their
+ * schedule on each scheduled day of the range up to today. Full-day leaves are skipped and a
+ * half-day leave waives lateness (AM) or undertime (PM); a scheduled day without presence or
+ * leave is absent, and one with a half-day leave but no presence is half a day absent.
+ * `days` lists only the days with an exception.
+ * @returns {Promise<Array<{employee_id, name, team_id, shift, totals, days}>>}
+ */
+async function getAttendanceExceptions(startDate, endDate, site, team, calendar, gapMinutes = 30) {
+    const today = moment.tz(siteTimezone(site)).format('YYYY-MM-DD');
+    let sql = `SELECT e.id, e.display_name, e.team_id, COALESCE(e.shift_id, t.shift_id) AS shift_id
+               FROM employees e LEFT JOIN teams t ON t.id = e.team_id
+               WHERE e.active = 1 AND COALESCE(e.shift_id, t.shift_id) IS NOT NULL`;
+    const params = [];
+    if (team) {
+        sql += ` AND e.team_id = ?`;
+        params.push(team);
+    }
+    const employees = await dbAll(`${sql} ORDER BY e.display_name`, params);
+    if (!employees.length) return [];
+    const shifts = new Map((await dbAll(`SELECT * FROM shifts`)).map(row => [row.id, formatShift(row)]));
+    const leaves = await dbAll(`SELECT * FROM leaves WHERE start_date <= ? AND end_date >= ?`, [endDate, startDate]);
+    const sessions = await getEmployeeDaySessions(startDate, endDate, site, gapMinutes);
+    const dates = listDates(startDate, endDate).filter(date => date <= today);
+
+    return employees.map(employee => {
+        const shift = shifts.get(employee.shift_id);
+        const byDate = sessions.get(employee.id) || new Map();
+        const employeeLeaves = leaves.filter(leave => leave.employee_id === employee.id);
+        const totals = { scheduled_days: 0, late_days: 0, late_minutes: 0, undertime_minutes: 0, overtime_minutes: 0, absent_days: 0 };
+        const days = [];
+        dates.forEach(date => {
+            const schedule = shiftScheduleFor(shift, date, calendar);
+            if (!schedule) return;
+            const onLeave = employeeLeaves.filter(leave => leave.start_date <= date && leave.end_date >= date);
+            const halves = new Set(onLeave.map(leave => leave.half_day));
+            if (halves.has(null) || (halves.has('am') && halves.has('pm'))) return;
+            totals.scheduled_days++;
+            const day = {
+                date,
+                scheduled_in: schedule.start_time,
+                scheduled_out: schedule.end_time,
+                first_in: null,
+                last_out: null,
+                late_minutes: 0,
+                undertime_minutes: 0,
+                overtime_minutes: 0,
+                absent: false,
+                leave: onLeave.length ? `${onLeave[0].type}-${onLeave[0].half_day.toUpperCase()}` : null
+            };
+            const merged = byDate.get(date);
+            if (!merged || !merged.length) {
+                // Half a day on leave and not in for the other half: absent for the working half
+                day.absent = true;
+                totals.absent_days += onLeave.length ? 0.5 : 1;
+                days.push(day);
+                return;
+            }
+            const firstIn = merged[0][0];
+            const lastOut = merged[merged.length - 1][1];
+            const { late, undertime, overtime } = computeDayExceptions(shift, schedule, date, firstIn, lastOut);
+            Object.assign(day, {
+                first_in: toLocalISOString(firstIn).slice(11, 16),
+                last_out: toLocalISOString(lastOut).slice(11, 16),
+                late_minutes: halves.has('am') ? 0 : late,
+                undertime_minutes: halves.has('pm') ? 0 : undertime,
+                overtime_minutes: overtime
+            });
+            if (day.late_minutes) totals.late_days++;
+            totals.late_minutes += day.late_minutes;
+            totals.undertime_minutes += day.undertime_minutes;
+            totals.overtime_minutes += day.overtime_minutes;
+            if (day.late_minutes || day.undertime_minutes || day.overtime_minutes) days.push(day);
+        });
+        return {
+            employee_id: employee.id,
+            name: employee.display_name,
+            team_id: employee.team_id,
+            shift: { id: shift.id, name: shift.name, type: shift.type },
+            totals,
+            days
+        };
+    });
+}
+
+// --- Hybrid work policies ---
+// How many days a week someone is expected in the office: at least `min_days_per_week` days
+// per ISO week, and/or every one of `anchor_days` (e.g. ['tue', 'thu']). Policies are assigned
+// to a team or an employee (`policy_id`); the employee's own policy wins. Only present days
+// count as office days (partial days don't).
+//
+// Holidays, closures and full days of leave other than WFH are excused: each one lowers the
+// week's minimum by one, and the minimum is never more than the working days left in the week.
+// An anchor day is met by being present, and excused when it is not a working day or the
+// person has leave (other than WFH) that day. Weeks still running are 'pending' until they pass.
+const POLICY_EXCUSED_LEAVE_TYPES = ['VL', 'SL', 'OB'];
+
+function formatPolicy(row) {
+    return { ...row, anchor_days: row.anchor_days ? JSON.parse(row.anchor_days) : [] };
+}
+
+/**
+ * Validates a policy body (merged over the stored policy for updates). Returns { error } or
+ * { values } with the columns to write.
+ */
+function parsePolicyInput(body) {
+    const name = body.name ? String(body.name).trim() : '';
+    const minDays = body.min_days_per_week === undefined ? null : body.min_days_per_week;
+    const anchorDays = body.anchor_days === undefined || body.anchor_days === null ? [] : body.anchor_days;
+    if (!name) return { error: 'name is required.' };
+    if (minDays !== null && (!Number.isInteger(minDays) || minDays < 1 || minDays > 7)) return { error: 'min_days_per_week must be a whole number from 1 to 7, or null.' };
+    if (!Array.isArray(anchorDays) || anchorDays.some(day => !SHIFT_WEEKDAYS.includes(day))) return { error: 'anchor_days must be a list of weekdays (mon-sun).' };
+    if (minDays === null && !anchorDays.length) return { error: 'Give min_days_per_week, anchor_days or both.' };
+    const anchors = SHIFT_WEEKDAYS.filter(day => anchorDays.includes(day));
+    return { values: { name, min_days_per_week: minDays, anchor_days: anchors.length ? JSON.stringify(anchors) : null } };
+}
+
+async function policyExists(policyId) {
+    return Boolean(await dbGet(`SELECT id FROM work_policies WHERE id = ?`, [policyId]));
+}
+
+/**
+ * Checks every active employee with a policy against it for each ISO week that overlaps
+ * startDate..endDate (whole weeks, so a range starting mid-week still judges that week fairly).
+ * @returns {Promise<Array<{employee_id, name, team_id, policy, totals, weeks}>>} `weeks`:
+ *          { week ('2025-W49'), from, to, office_days, excused_days, required_days,
+ *          missed_anchor_days, status ('pass', 'fail' or 'pending') }; `totals` counts the
+ *          weeks per status, with `compliance_rate` over the weeks already decided.
+ */
+async function getPolicyCompliance(startDate, endDate, site, team) {
+    let sql = `SELECT e.id, e.display_name, e.team_id, COALESCE(e.policy_id, t.policy_id) AS policy_id
+               FROM employees e LEFT JOIN teams t ON t.id = e.team_id
+               WHERE e.active = 1 AND COALESCE(e.policy_id, t.policy_id) IS NOT NULL`;
+    const params = [];
+    if (team) {
+        sql += ` AND e.team_id = ?`;
+        params.push(team);
+    }
+    const employees = await dbAll(`${sql} ORDER BY e.display_name`, params);
+    if (!employees.length) return [];
+
+    const firstDay = moment(startDate).startOf('isoWeek').format('YYYY-MM-DD');
+    const lastDay = moment(endDate).endOf('isoWeek').format('YYYY-MM-DD');
+    const today = moment.tz(siteTimezone(site)).format('YYYY-MM-DD');
+    const policies = new Map((await dbAll(`SELECT * FROM work_policies`)).map(row => [row.id, formatPolicy(row)]));
+    const calendar = await getWorkCalendar(firstDay, lastDay, site);
+    const presence = new Map((await getPresenceData(firstDay, lastDay, site, team))
+        .filter(person => person.employee_id)
+        .map(person => [person.employee_id, new Set(person.presenceDates)]));
+    const leaves = await dbAll(`SELECT * FROM leaves WHERE start_date <= ? AND end_date >= ?`, [lastDay, firstDay]);
+    const weeks = [];
+    for (const weekStart = moment(firstDay); weekStart.isSameOrBefore(lastDay, 'day'); weekStart.add(1, 'week')) {
+        weeks.push({ week: weekStart.format('GGGG-[W]WW'), dates: listDates(weekStart.format('YYYY-MM-DD'), weekStart.clone().add(6, 'days').format('YYYY-MM-DD')) });
+    }
+
+    return employees.map(employee => {
+        const policy = policies.get(employee.policy_id);
+        const present = presence.get(employee.id) || new Set();
+        const employeeLeaves = leaves.filter(leave => leave.employee_id === employee.id && POLICY_EXCUSED_LEAVE_TYPES.includes(leave.type));
+        const leaveOn = (date) => employeeLeaves.filter(leave => leave.start_date <= date && leave.end_date >= date);
+        const totals = { pass: 0, fail: 0, pending: 0, compliance_rate: null };
+
+        const results = weeks.map(({ week, dates }) => {
+            const officeDays = dates.filter(date => present.has(date)).length;
+            let excused = 0;
+            let available = 0;
+            dates.forEach(date => {
+                const entry = calendar.get(date);
+                if (entry && entry.type !== 'working_day' && moment(date).isoWeekday() <= 5) excused++; // Holiday or closure on a weekday
+                if (!isWorkingDay(date, calendar)) return;
+                const onLeave = leaveOn(date);
+                const halves = new Set(onLeave.map(leave => leave.half_day));
+                if (halves.has(null) || (halves.has('am') && halves.has('pm'))) excused++;
+                else available++;
+            });
+            const required = policy.min_days_per_week === null ? 0 : Math.min(Math.max(policy.min_days_per_week - excused, 0), available);
+            const missedAnchors = [];
+            let anchorsPending = false;
+            policy.anchor_days.forEach(weekday => {
+                const date = dates[SHIFT_WEEKDAYS.indexOf(weekday)];
+                if (present.has(date) || !isWorkingDay(date, calendar) || leaveOn(date).length) return;
+                if (date >= today) anchorsPending = true;
+                else missedAnchors.push(weekday);
+            });
+            const met = officeDays >= required && !missedAnchors.length && !anchorsPending;
+            let status = met ? 'pass' : 'fail';
+            // Not over yet: what is still missing can be made up
+            if (!met && dates[dates.length - 1] >= today && !missedAnchors.length) status = 'pending';
+            totals[status]++;
+            return {
+                week,
+                from: dates[0],
+                to: dates[dates.length - 1],
+                office_days: officeDays,
+                excused_days: excused,
+                required_days: required,
+                missed_anchor_days: missedAnchors,
+                status
+            };
+        });
+        if (totals.pass + totals.fail) totals.compliance_rate = Number((totals.pass / (totals.pass + totals.fail)).toFixed(4));
+        return {
+            employee_id: employee.id,
+            name: employee.display_name,
+            team_id: employee.team_id,
+            policy: { id: policy.id, name: policy.name, min_days_per_week: policy.min_days_per_week, anchor_days: policy.anchor_days },
+            totals,
+            weeks: results
+        };
+    });
+}
+
+// --- Occupancy ---
+// How full the office is over time: a headcount per time bucket from people's merged sessions.
+// It counts the same people as the presence report (registered employees and devices the
+// classification rules count as people), so printers, routers and ignored devices are left
+// out. Someone counts once in every bucket any of their sessions overlaps.
+const OCCUPANCY_BUCKETS = { '15m': 15, '1h': 60 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Headcount per bucket of startDate..endDate (wall-clock time of the office) from report rows
+ * with `daySessions` (getPresenceData with withSessions).
+ * @returns {{ series: Array<{start, headcount}>, peaks: Array<{date, headcount, at}>,
+ *            heatmap: Array<{weekday, hour, average, max}> }} `peaks` has each date's highest
+ *          headcount and the first bucket it was reached in; `heatmap` the highest headcount
+ *          of each hour, averaged over the range's days with that ISO weekday (1 = Monday).
+ */
+function buildOccupancy(people, startDate, endDate, bucketMinutes) {
+    const bucketMs = bucketMinutes * 60 * 1000;
+    const rangeStart = Date.parse(`${startDate}T00:00:00Z`);
+    const dayCount = Math.round((Date.parse(`${endDate}T00:00:00Z`) - rangeStart) / DAY_MS) + 1;
+    const bucketsPerDay = DAY_MS / bucketMs;
+    const counts = new Array(dayCount * bucketsPerDay).fill(0);
+
+    people.forEach(person => {
+        const buckets = new Set();
+        (person.daySessions || []).forEach(({ sessions }) => sessions.forEach(([start, end]) => {
+            const first = Math.max(0, Math.floor((start.getTime() - rangeStart) / bucketMs));
+            // A session ending on a bucket boundary stays out of the next bucket; a single sighting still has its own
+            const last = Math.min(counts.length - 1, Math.max(first, Math.ceil((end.getTime() - rangeStart) / bucketMs) - 1));
+            for (let i = first; i <= last; i++) buckets.add(i);
+        }));
+        buckets.forEach(i => counts[i]++);
+    });
+
+    const series = counts.map((headcount, i) => ({ start: new Date(rangeStart + i * bucketMs).toISOString().slice(0, 16), headcount }));
+    const peaks = [];
+    const hourTotals = new Map(); // 'weekday:hour' -> { total, max, days }
+    for (let day = 0; day < dayCount; day++) {
+        const dayBuckets = counts.slice(day * bucketsPerDay, (day + 1) * bucketsPerDay);
+        const date = new Date(rangeStart + day * DAY_MS);
+        const headcount = Math.max(...dayBuckets);
+        peaks.push({
+            date: date.toISOString().slice(0, 10),
+            headcount,
+            at: headcount ? series[day * bucketsPerDay + dayBuckets.indexOf(headcount)].start.slice(11) : null
+        });
+        const weekday = date.getUTCDay() || 7;
+        for (let hour = 0; hour < 24; hour++) {
+            const hourPeak = Math.max(...dayBuckets.slice(hour * 60 / bucketMinutes, (hour + 1) * 60 / bucketMinutes));
+            const key = `${weekday}:${hour}`;
+            const cell = hourTotals.get(key) || { weekday, hour, total: 0, max: 0, days: 0 };
+            cell.total += hourPeak;
+            cell.max = Math.max(cell.max, hourPeak);
+            cell.days++;
+            hourTotals.set(key, cell);
+        }
+    }
+    const heatmap = Array.from(hourTotals.values())
+        .sort((a, b) => a.weekday - b.weekday || a.hour - b.hour)
+        .map(({ weekday, hour, total, max, days }) => ({ weekday, hour, average: Number((total / days).toFixed(2)), max }));
+
+    return { series, peaks, heatmap };
+}
+
+// --- Daily Time Record (CS Form 48) ---
+// One DTR per employee and month: arrival and departure for the morning and the afternoon of
+// every day, taken from the same merged sessions as /api/day-sessions. Sessions that start
+// before noon are the morning's and the rest the afternoon's; the last out of the day is the
+// afternoon departure unless it is before noon. Someone who stays through lunch has no AM
+// departure or PM arrival. Undertime is lateness plus undertime from their shift.
+const DTR_DAYS = 31; // The form always has 31 lines
+
+/**
+ * DTR contents for `employees` ({ id, display_name, shift_id } with the effective shift) over
+ * one month (a report period from resolveReportPeriod).
+ * @returns {Promise<Array<{employee_id, name, month, official_hours, days, total_undertime_minutes}>>}
+ *          `days` has one entry per date of the month: { day, date, am_arrival, am_departure,
+ *          pm_arrival, pm_departure, undertime_minutes, remarks }.
+ */
+async function buildDailyTimeRecords(employees, period, site) {
+    const { startDate, endDate, label } = period;
+    const calendar = await getWorkCalendar(startDate, endDate, site);
+    const sessions = await getEmployeeDaySessions(startDate, endDate, site);
+    const exceptions = new Map((await getAttendanceExceptions(startDate, endDate, site, null, calendar))
+        .map(employee => [employee.employee_id, new Map(employee.days.map(day => [day.date, day]))]));
+    const shifts = new Map((await dbAll(`SELECT * FROM shifts`)).map(row => [row.id, formatShift(row)]));
+    const leaves = await dbAll(`SELECT * FROM leaves WHERE start_date <= ? AND end_date >= ?`, [endDate, startDate]);
+    const time = (date) => moment.utc(date).format('h:mm');
+    const hours = (schedule) => schedule
+        ? `${moment(schedule.start_time, 'HH:mm').format('h:mm A')}-${moment(schedule.end_time, 'HH:mm').format('h:mm A')}`
+        : '';
+
+    return employees.map(employee => {
+        const shift = shifts.get(employee.shift_id);
+        const byDate = sessions.get(employee.id) || new Map();
+        const exceptionDays = exceptions.get(employee.id) || new Map();
+        const employeeLeaves = leaves.filter(leave => leave.employee_id === employee.id);
+        let totalUndertime = 0;
+
+        const days = listDates(startDate, endDate).map(date => {
+            const merged = byDate.get(date) || [];
+            const noon = new Date(`${date}T12:00:00Z`);
+            const morning = merged.filter(([start]) => start < noon);
+            const afternoon = merged.filter(([start]) => start >= noon);
+            const day = { day: moment(date).date(), date, am_arrival: '', am_departure: '', pm_arrival: '', pm_departure: '', undertime_minutes: 0, remarks: '' };
+            if (merged.length) {
+                const lastOut = merged[merged.length - 1][1];
+                if (morning.length) day.am_arrival = time(morning[0][0]);
+                if (afternoon.length) day.pm_arrival = time(afternoon[0][0]);
+                if (morning.length && afternoon.length) day.am_departure = time(morning[morning.length - 1][1]);
+                if (lastOut > noon) day.pm_departure = time(lastOut);
+                else day.am_departure = time(lastOut);
+            }
+            const exception = exceptionDays.get(date);
+            if (exception) day.undertime_minutes = exception.late_minutes + exception.undertime_minutes;
+            totalUndertime += day.undertime_minutes;
+
+            const entry = calendar.get(date);
+            const leaveCodes = employeeLeaves
+                .filter(leave => leave.start_date <= date && leave.end_date >= date)
+                .map(leave => leave.half_day ? `${leave.type}-${leave.half_day.toUpperCase()}` : leave.type);
+            if (leaveCodes.length) day.remarks = leaveCodes.sort().join('/');
+            else if (entry && entry.type !== 'working_day') day.remarks = (entry.name || (entry.type === 'office_closure' ? 'Office closure' : 'Holiday')).toUpperCase();
+            else if (shift ? !shiftScheduleFor(shift, date, calendar) : !isWorkingDay(date, calendar)) {
+                day.remarks = moment(date).isoWeekday() > 5 ? moment(date).format('dddd').toUpperCase() : 'DAY OFF';
+            }
+            return day;
+        });
+
+        return {
+            employee_id: employee.id,
+            name: employee.display_name,
+            month: label,
+            official_hours: {
+                regular_days: shift ? `${hours(shift)}${shift.type === 'flexible' ? ` (core), ${shift.required_hours} h` : ''}` : '',
+                saturdays: shift && shift.days.sat ? hours(shift.days.sat) : ''
+            },
+            days,
+            total_undertime_minutes: totalUndertime
+        };
+    });
+}
+
+// Adds one DTR as a printable sheet (A4, one page) in the CS Form 48 layout
+function addDtrSheet(workbook, sheetName, dtr) {
+    const worksheet = workbook.addWorksheet(sheetName, {
+        pageSetup: { paperSize: 9, orientation: 'portrait', fitToPage: true, fitToWidth: 1, fitToHeight: 1 }
+    });
+    worksheet.columns = [6, 11, 11, 11, 11, 9, 9].map(width => ({ width }));
+    const center = { horizontal: 'center', vertical: 'middle' };
+    const line = (rowNumber, value, style = {}) => {
+        worksheet.mergeCells(rowNumber, 1, rowNumber, 7);
+        const cell = worksheet.getCell(rowNumber, 1);
+        cell.value = value;
+        cell.style = { alignment: center, ...style };
+    };
+
+    worksheet.getCell('A1').value = 'Civil Service Form No. 48';
+    worksheet.getCell('A1').font = { italic: true, size: 8 };
+    line(3, 'DAILY TIME RECORD', { font: { bold: true, size: 14 } });
+    line(4, '-----o0o-----');
+    line(6, dtr.name, { font: { bold: true, size: 12, underline: true } });
+    line(7, '(Name)', { font: { size: 8 } });
+    line(9, `For the month of ${dtr.month}`, { alignment: { horizontal: 'left' } });
+    line(10, 'Official hours for arrival and departure', { alignment: { horizontal: 'left' } });
+    line(11, dtrOfficialHours(dtr), { alignment: { horizontal: 'left', indent: 2 } });
+
+    // --- Table ---
+    const headerStyle = { font: { bold: true, size: 9 }, alignment: { ...center, wrapText: true } };
+    worksheet.mergeCells('A13:A14');
+    worksheet.mergeCells('B13:C13');
+    worksheet.mergeCells('D13:E13');
+    worksheet.mergeCells('F13:G13');
+    [['A13', 'Day'], ['B13', 'A.M.'], ['D13', 'P.M.'], ['F13', 'Undertime'],
+        ['B14', 'Arrival'], ['C14', 'Departure'], ['D14', 'Arrival'], ['E14', 'Departure'], ['F14', 'Hours'], ['G14', 'Minutes']]
+        .forEach(([address, value]) => {
+            worksheet.getCell(address).value = value;
+            worksheet.getCell(address).style = headerStyle;
+        });
+    for (let index = 0; index < DTR_DAYS; index++) {
+        const rowNumber = 15 + index;
+        const day = dtr.days[index];
+        const row = worksheet.getRow(rowNumber);
+        row.getCell(1).value = index + 1;
+        if (day && !day.am_arrival && !day.am_departure && !day.pm_arrival && !day.pm_departure && day.remarks) {
+            worksheet.mergeCells(rowNumber, 2, rowNumber, 5);
+            row.getCell(2).value = day.remarks;
+        } else if (day) {
+            row.getCell(2).value = day.am_arrival;
+            row.getCell(3).value = day.am_departure;
+            row.getCell(4).value = day.pm_arrival;
+            row.getCell(5).value = day.pm_departure;
+        }
+        if (day && day.undertime_minutes) {
+            row.getCell(6).value = Math.floor(day.undertime_minutes / 60);
+            row.getCell(7).value = day.undertime_minutes % 60;
+        }
+        row.alignment = center;
+    }
+    const totalRowNumber = 15 + DTR_DAYS;
+    worksheet.mergeCells(totalRowNumber, 1, totalRowNumber, 5);
+    const totalRow = worksheet.getRow(totalRowNumber);
+    totalRow.getCell(1).value = 'TOTAL';
+    totalRow.getCell(1).alignment = { horizontal: 'right' };
+    totalRow.getCell(6).value = Math.floor(dtr.total_undertime_minutes / 60);
+    totalRow.getCell(7).value = dtr.total_undertime_minutes % 60;
+    totalRow.font = { bold: true };
+    for (let rowNumber = 13; rowNumber <= totalRowNumber; rowNumber++) {
+        for (let col = 1; col <= 7; col++) {
+            worksheet.getCell(rowNumber, col).border = { top: { style: 'thin' }, left: { style: 'thin' }, bottom: { style: 'thin' }, right: { style: 'thin' } };
+        }
+    }
+
+    // --- Certification ---
+    const footer = totalRowNumber + 2;
+    line(footer, DTR_CERTIFICATION, { alignment: { horizontal: 'left', vertical: 'top', wrapText: true }, font: { size: 9 } });
+    worksheet.getRow(footer).height = 40;
+    line(footer + 3, '______________________________');
+    line(footer + 5, 'VERIFIED as to the prescribed office hours:', { alignment: { horizontal: 'left' }, font: { size: 9 } });
+    line(footer + 8, '______________________________');
+    line(footer + 9, 'In Charge', { font: { size: 9 } });
+}
+
+const dtrOfficialHours = (dtr) => `Regular days: ${dtr.official_hours.regular_days || '__________'}     Saturdays: ${dtr.official_hours.saturdays || '__________'}`;
+
+const DTR_CERTIFICATION = 'I certify on my honor that the above is a true and correct report of the hours of work performed, record of which was made daily at the time of arrival and departure from office.';
+
+// Draws one DTR on the current page of a PDFKit document, in the same layout as addDtrSheet
+function drawDtrPdf(doc, dtr) {
+    const left = doc.page.margins.left;
+    const widths = [40, 85, 85, 85, 85, 55, 55];
+    const edges = widths.reduce((acc, width) => [...acc, acc[acc.length - 1] + width], [left]);
+    const tableWidth = edges[edges.length - 1] - left;
+    const cell = (text, col, span, top, height, align = 'center') => {
+        const x = edges[col];
+        const width = edges[col + span] - x;
+        doc.rect(x, top, width, height).stroke();
+        if (text === '' || text === null || text === undefined) return;
+        doc.text(String(text), x + 3, top + (height - doc.currentLineHeight()) / 2, { width: width - 6, align, lineBreak: false });
+    };
+
+    doc.font('Helvetica-Oblique').fontSize(8).text('Civil Service Form No. 48', left, doc.page.margins.top);
+    doc.moveDown(0.5).font('Helvetica-Bold').fontSize(14).text('DAILY TIME RECORD', left, doc.y, { width: tableWidth, align: 'center' });
+    doc.font('Helvetica').fontSize(9).text('-----o0o-----', { width: tableWidth, align: 'center' });
+    doc.moveDown().font('Helvetica-Bold').fontSize(12).text(dtr.name, { width: tableWidth, align: 'center', underline: true });
+    doc.font('Helvetica').fontSize(8).text('(Name)', { width: tableWidth, align: 'center' });
+    doc.moveDown().fontSize(9).text(`For the month of ${dtr.month}`, left, doc.y);
+    doc.text('Official hours for arrival and departure');
+    doc.text(dtrOfficialHours(dtr), left + 20, doc.y);
+    doc.moveDown(0.5);
+
+    // --- Table ---
+    const rowHeight = 14;
+    let top = doc.y;
+    doc.font('Helvetica-Bold').fontSize(8);
+    cell('Day', 0, 1, top, rowHeight * 2);
+    cell('A.M.', 1, 2, top, rowHeight);
+    cell('P.M.', 3, 2, top, rowHeight);
+    cell('Undertime', 5, 2, top, rowHeight);
+    top += rowHeight;
+    ['Arrival', 'Departure', 'Arrival', 'Departure', 'Hours', 'Minutes'].forEach((label, index) => cell(label, index + 1, 1, top, rowHeight));
+    top += rowHeight;
+    doc.font('Helvetica').fontSize(8);
+    for (let index = 0; index < DTR_DAYS; index++) {
+        const day = dtr.days[index];
+        cell(index + 1, 0, 1, top, rowHeight);
+        if (day && !day.am_arrival && !day.am_departure && !day.pm_arrival && !day.pm_departure && day.remarks) {
+            cell(day.remarks, 1, 4, top, rowHeight);
+        } else {
+            [day && day.am_arrival, day && day.am_departure, day && day.pm_arrival, day && day.pm_departure]
+                .forEach((value, col) => cell(value || '', col + 1, 1, top, rowHeight));
+        }
+        const undertime = day ? day.undertime_minutes : 0;
+        cell(undertime ? Math.floor(undertime / 60) : '', 5, 1, top, rowHeight);
+        cell(undertime ? undertime % 60 : '', 6, 1, top, rowHeight);
+        top += rowHeight;
+    }
+    doc.font('Helvetica-Bold');
+    cell('TOTAL', 0, 5, top, rowHeight, 'right');
+    cell(Math.floor(dtr.total_undertime_minutes / 60), 5, 1, top, rowHeight);
+    cell(dtr.total_undertime_minutes % 60, 6, 1, top, rowHeight);
+    top += rowHeight;
+
+    // --- Certification ---
+    doc.font('Helvetica').fontSize(9).text(DTR_CERTIFICATION, left, top + 12, { width: tableWidth });
+    doc.moveDown(2).text('______________________________', { width: tableWidth, align: 'center' });
+    doc.moveDown().text('VERIFIED as to the prescribed office hours:', left, doc.y);
+    doc.moveDown(2).text('______________________________', { width: tableWidth, align: 'center' });
+    doc.text('In Charge', { width: tableWidth, align: 'center' });
+}
+
+// Renders DTRs to a PDF (one page each) and resolves with the file contents
+function renderDtrPdf(dtrs) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        dtrs.forEach(dtr => {
+            doc.addPage();
+            drawDtrPdf(doc, dtr);
+        });
+        doc.end();
+    });
+}
+
+async function renderDtrXlsx(dtr) {
+    const workbook = new ExcelJS.Workbook();
+    addDtrSheet(workbook, 'DTR', dtr);
+    return workbook.xlsx.writeBuffer();
+}
+
+// --- Presence grid ---
+// The week-grouped ✓/x grid of the Excel and PDF exports.
+
+// Legend of the grid codes after '✓ present', which the PDF draws as a check mark
+const PRESENCE_LEGEND = '~ partial (seen, below the presence rule) · x absent · H holiday · C office closure · VL/SL/OB/WFH leave (-AM/-PM half day)';
+
+// Whether a day (moment) is within startDate..endDate
+function reportRangeTest(startDate, endDate) {
+    const firstDay = moment(startDate);
+    const lastDay = moment(endDate);
+    return (day) => day.isBetween(firstDay, lastDay, 'day', '[]');
+}
+
+// Days of startDate..endDate grouped into whole weeks (Mon–Fri; the first and last week run
+// past the range), plus a Sat/Sun column when the range has a special working day on that
+// weekday, or always with `includeWeekends`.
+// @returns {{ weekdays: number[], weeks: Array<{ range: string, days: moment[] }> }}
+function buildReportWeeks(startDate, endDate, calendar, includeWeekends) {
+    const lastDay = moment(endDate);
+    const workingWeekendDays = new Set(listWorkingDays(startDate, endDate, calendar)
+        .map(date => moment(date).isoWeekday())
+        .filter(weekday => weekday > 5));
+    const weekdays = [1, 2, 3, 4, 5, 6, 7].filter(weekday => weekday <= 5 || includeWeekends || workingWeekendDays.has(weekday));
+
+    const weeks = [];
+    for (const weekStart = moment(startDate).startOf('isoWeek'); weekStart.isSameOrBefore(lastDay, 'day'); weekStart.add(1, 'week')) {
+        const weekEnd = weekStart.clone().isoWeekday(weekdays[weekdays.length - 1]); // Friday unless weekend days are shown
+        weeks.push({
+            range: `${weekStart.format('MMM D')} - ${weekEnd.format('MMM D, YYYY')}`,
+            days: weekdays.map(weekday => weekStart.clone().isoWeekday(weekday))
+        });
+    }
+    return { weekdays, weeks };
+}
+
+// Column header of a day: M, T, W, Th, F, S, S
+const dayLetter = (day) => (day.isoWeekday() === 4 ? 'Th' : day.format('ddd').substring(0, 1));
+
+// A report row's dates as lookups for presenceCell
+function presenceLookup(employee) {
+    // A date can hold two half-day leaves (AM and PM), so each date maps to its cell code
+    const leaves = new Map();
+    (employee.leaves || []).forEach(leave => {
+        const code = leave.half_day ? `${leave.type}-${leave.half_day.toUpperCase()}` : leave.type;
+        const previous = leaves.get(leave.date);
+        leaves.set(leave.date, {
+            code: previous ? [previous.code, code].sort().join('/') : code,
+            fullDay: !leave.half_day || Boolean(previous)
+        });
+    });
+    return { present: new Set(employee.presenceDates), partial: new Set(employee.partialDates || []), leaves };
+}
+
+// What one person's cell shows on `day`: { kind, text } with kind 'blank', 'leave', 'present',
+// 'partial', 'holiday' or 'absent'
+function presenceCell(lookup, day, inRange, calendar) {
+    const date = day.format('YYYY-MM-DD');
+    const entry = calendar.get(date);
+    const leave = lookup.leaves.get(date);
+
+    if (!inRange(day)) return { kind: 'blank', text: '' }; // Days outside the report range
+    // A half-day leave shows even when they came in for the other half
+    if (leave && (!leave.fullDay || !lookup.present.has(date))) return { kind: 'leave', text: leave.code };
+    if (lookup.present.has(date)) return { kind: 'present', text: '✓' };
+    if (lookup.partial.has(date)) return { kind: 'partial', text: '~' }; // Seen, but not long enough to count as present
+    if (entry && entry.type !== 'working_day') return { kind: 'holiday', text: entry.type === 'office_closure' ? 'C' : 'H' };
+    if (!isWorkingDay(date, calendar)) return { kind: 'blank', text: '' }; // Ordinary Saturday/Sunday in a week that shows weekend days
+    return { kind: 'absent', text: 'x' };
+}
+
+// --- Excel helpers ---
+// Adds one attendance sheet for startDate..endDate: days grouped by week (Mon–Fri; weeks
+// run across month boundaries and days outside the range stay blank) with ✓/x per person, followed
+// by the group's headcount per day and average attendance rate (see summarizeAttendance).
+// Holidays and closures from the work calendar are marked H/C and leave days with their
+// type code (VL, SL, OB, WFH; -AM/-PM for half days) and partial days (see PRESENCE_RULE)
+// with '~'; a week also gets a Sat/Sun column when the range has a special working day on
+// that weekday, or always with `includeWeekends`. With `compliance` (employee id -> Map of
+// ISO week -> week result from getPolicyCompliance) and anyone on the sheet with a hybrid work
+// policy, every week block ends with a Policy column saying whether they met it that week. The last columns
+// total each person's present, partial and leave days, their attendance rate on working days
+// and their hours.
+function addPresenceSheet(workbook, sheetName, employees, startDate, endDate, summary, calendar, includeWeekends = false, compliance = null) {
+    const worksheet = workbook.addWorksheet(sheetName);
+
+    // --- Define Structure ---
+    const inRange = reportRangeTest(startDate, endDate);
+    const { weekdays, weeks } = buildReportWeeks(startDate, endDate, calendar, includeWeekends);
+    const workingDays = listWorkingDays(startDate, endDate, calendar);
+    const withPolicy = Boolean(compliance && employees.some(employee => compliance.has(employee.employee_id)));
+    const weekColumns = weekdays.length + (withPolicy ? 1 : 0);
+    const weekResult = (employee, week) => (compliance.get(employee.employee_id) || new Map()).get(week.days[0].format('GGGG-[W]WW'));
+
+    // --- Build Headers ---
+    worksheet.columns = [{ header: 'Name', key: 'name', width: 30 }];
+    const headerRow1 = worksheet.getRow(1);
+    const headerRow2 = worksheet.getRow(2);
+    headerRow2.getCell('A').value = 'Name';
+    
+    let currentColumn = 2;
+    weeks.forEach(week => {
+        // Merge cells for the week range header
+        worksheet.mergeCells(1, currentColumn, 1, currentColumn + weekColumns - 1);
+        headerRow1.getCell(currentColumn).value = week.range;
+        headerRow1.getCell(currentColumn).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+
+        // Add day letters
+        week.days.forEach((day, index) => {
+            const col = worksheet.getColumn(currentColumn + index);
+            col.width = 5;
+            col.style = { alignment: { horizontal: 'center', vertical: 'middle' }};
+            headerRow2.getCell(currentColumn + index).value = dayLetter(day);
+            headerRow2.getCell(currentColumn + index).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+            const entry = calendar.get(day.format('YYYY-MM-DD'));
+            if (entry && entry.type !== 'working_day' && inRange(day)) {
+                headerRow2.getCell(currentColumn + index).fill = HOLIDAY_FILL;
+                headerRow2.getCell(currentColumn + index).note = entry.name || entry.type;
+            }
+        });
+        if (withPolicy) {
+            const policyColumn = currentColumn + weekdays.length;
+            worksheet.getColumn(policyColumn).width = 9;
+            worksheet.getColumn(policyColumn).style = { alignment: { horizontal: 'center', vertical: 'middle' } };
+            headerRow2.getCell(policyColumn).value = 'Policy';
+            headerRow2.getCell(policyColumn).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+        }
+        currentColumn += weekColumns + 1; // days (+ policy) + 1 blank column
+    });
+    const totalsColumn = currentColumn;
+    worksheet.mergeCells(1, totalsColumn, 1, totalsColumn + 2);
+    headerRow1.getCell(totalsColumn).value = 'Days';
+    headerRow1.getCell(totalsColumn).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+    worksheet.mergeCells(1, totalsColumn + 3, 1, totalsColumn + 4);
+    headerRow1.getCell(totalsColumn + 3).value = 'Period';
+    headerRow1.getCell(totalsColumn + 3).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+    ['Present', 'Partial', 'Leave', 'Att. %', 'Hours'].forEach((label, index) => {
+        worksheet.getColumn(totalsColumn + index).width = 9;
+        headerRow2.getCell(totalsColumn + index).value = label;
+        headerRow2.getCell(totalsColumn + index).style = { font: { bold: true }, alignment: { horizontal: 'center' } };
+    });
+    worksheet.getColumn(totalsColumn + 3).numFmt = '0.0%';
+    worksheet.getColumn(totalsColumn + 4).numFmt = '0.00';
+    const working = new Set(workingDays);
+    worksheet.getRow(2).getCell('A').style = { font: { bold: true } };
+
+    // --- Add Data Rows ---
+    employees.forEach((employee, index) => {
+        const rowNumber = index + 3;
+        const row = worksheet.getRow(rowNumber);
+        row.getCell('A').value = employee.name;
+
+        const lookup = presenceLookup(employee);
+        let dataColIndex = 2;
+        weeks.forEach(week => {
+            week.days.forEach(day => {
+                const cell = row.getCell(dataColIndex);
+                const { kind, text } = presenceCell(lookup, day, inRange, calendar);
+                cell.value = text;
+                if (kind === 'leave') {
+                    cell.fill = LEAVE_FILL;
+                } else if (kind === 'present') {
+                    cell.font = { color: { argb: 'FF008000' } }; // Dark Green
+                    cell.font.size  = 16;      
+                    cell.fill = {
+                        type: 'pattern',
+                        pattern: 'solid',
+                        fgColor: { argb: 'FFD3D3D3' } // Light Gray
+                    };
+                } else if (kind === 'partial') {
+                    cell.font = { color: { argb: 'FFC65911' } }; // Dark orange
+                    cell.fill = PARTIAL_FILL;
+                } else if (kind === 'holiday') {
+                    cell.fill = HOLIDAY_FILL;
+                }
+                dataColIndex++;
+            });
+            if (withPolicy) {
+                const result = weekResult(employee, week);
+                const cell = row.getCell(dataColIndex);
+                if (result) {
+                    cell.value = result.status === 'pending' ? 'Pending' : result.status === 'pass' ? 'Met' : 'Missed';
+                    cell.note = `${result.office_days} office days, ${result.required_days} required${result.missed_anchor_days.length ? `; missed ${result.missed_anchor_days.join(', ')}` : ''}`;
+                    if (COMPLIANCE_FILLS[result.status]) cell.fill = COMPLIANCE_FILLS[result.status];
+                }
+                dataColIndex++;
+            }
+            dataColIndex++; // Skip a column for the separator
+        });
+        row.getCell(totalsColumn).value = employee.presenceDates.length;
+        row.getCell(totalsColumn + 1).value = (employee.partialDates || []).length;
+        row.getCell(totalsColumn + 2).value = employee.leave_days || 0;
+        // Same rate as the summary row: present days among the range's working days
+        row.getCell(totalsColumn + 3).value = workingDays.length ? employee.presenceDates.filter(date => working.has(date)).length / workingDays.length : 0;
+        row.getCell(totalsColumn + 4).value = employee.total_hours || 0;
+    });
+            
+    // --- Summary Rows ---
+    const headcountRow = worksheet.getRow(employees.length + 3);
+    headcountRow.getCell('A').value = 'Present (headcount)';
+    headcountRow.getCell('A').font = { bold: true };
+    const headcountByDate = new Map(summary.headcount_per_day.map(d => [d.date, d.headcount]));
+    let summaryColIndex = 2;
+    weeks.forEach(week => {
+        week.days.forEach(day => {
+            if (inRange(day)) headcountRow.getCell(summaryColIndex).value = headcountByDate.get(day.format('YYYY-MM-DD')) || 0;
+            summaryColIndex++;
+        });
+        if (withPolicy) {
+            // People who met the policy that week, of those whose week is decided
+            const results = employees.map(employee => weekResult(employee, week)).filter(result => result && result.status !== 'pending');
+            if (results.length) headcountRow.getCell(summaryColIndex).value = `${results.filter(result => result.status === 'pass').length}/${results.length}`;
+            summaryColIndex++;
+        }
+        summaryColIndex++;
+    });
+    const rateRow = worksheet.getRow(employees.length + 4);
+    rateRow.getCell('A').value = `Avg. attendance: ${(summary.attendance_rate * 100).toFixed(1)}% of ${summary.working_days} working days (${summary.headcount} people)`;
+    rateRow.getCell('A').font = { bold: true };
+    worksheet.getRow(employees.length + 5).getCell('A').value = `✓ present · ${PRESENCE_LEGEND}`;
+
+    // --- Styling ---
+    const borderStyle = { style: 'thin' };
+    worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+        row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+            cell.border = {
+                top: borderStyle,
+                left: borderStyle,
+                bottom: borderStyle,
+                right: borderStyle
+            };
+        });
+    });
+}
+
+// Adds the tardiness sheet: one row per day with late/undertime/overtime minutes or an
+// absence, and a bold total row per employee (see getAttendanceExceptions).
+function addExceptionsSheet(workbook, sheetName, exceptions) {
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = [
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Shift', key: 'shift', width: 18 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Schedule', key: 'schedule', width: 13 },
+        { header: 'Time In', key: 'first_in', width: 9 },
+        { header: 'Time Out', key: 'last_out', width: 9 },
+        { header: 'Late (min)', key: 'late', width: 11 },
+        { header: 'Undertime (min)', key: 'undertime', width: 16 },
+        { header: 'Overtime (min)', key: 'overtime', width: 15 },
+        { header: 'Remarks', key: 'remarks', width: 14 }
+    ];
+    worksheet.getRow(1).font = { bold: true };
+
+    exceptions.forEach(employee => {
+        employee.days.forEach(day => {
+            worksheet.addRow({
+                name: employee.name,
+                shift: employee.shift.name,
+                date: day.date,
+                schedule: `${day.scheduled_in}-${day.scheduled_out}`,
+                first_in: day.first_in || '',
+                last_out: day.last_out || '',
+                late: day.late_minutes || '',
+                undertime: day.undertime_minutes || '',
+                overtime: day.overtime_minutes || '',
+                remarks: day.absent ? ['Absent', day.leave].filter(Boolean).join(', ') : day.leave || ''
+            });
+        });
+        const { totals } = employee;
+        const totalRow = worksheet.addRow({
+            name: `${employee.name} — total`,
+            shift: employee.shift.name,
+            date: `${totals.scheduled_days} days`,
+            late: totals.late_minutes,
+            undertime: totals.undertime_minutes,
+            overtime: totals.overtime_minutes,
+            remarks: totals.absent_days ? `${totals.absent_days} absent` : ''
+        });
+        totalRow.font = { bold: true };
+        totalRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD3D3D3' } }; // Light Gray
+    });
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+// Adds the time sheet: one row per person per day in `dates` with first in, last out, merged
+// hours and number of sessions (the /api/day-sessions numbers, from the daySessions of
+// getPresenceData). A time out on a later calendar day than the workday gets '+1'.
+function addTimeSheet(workbook, sheetName, employees, dates, calendar) {
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = [
+        { header: 'Name', key: 'name', width: 30 },
+        { header: 'Date', key: 'date', width: 12 },
+        { header: 'Day', key: 'day', width: 6 },
+        { header: 'Time In', key: 'first_in', width: 9 },
+        { header: 'Time Out', key: 'last_out', width: 11 },
+        { header: 'Hours', key: 'hours', width: 8, style: { numFmt: '0.00' } },
+        { header: 'Sessions', key: 'sessions', width: 9 },
+        { header: 'Remarks', key: 'remarks', width: 22 }
+    ];
+    worksheet.getRow(1).font = { bold: true };
+
+    employees.forEach(employee => {
+        const sessionsByDate = new Map((employee.daySessions || []).map(day => [day.date, day.sessions]));
+        const partialSet = new Set(employee.partialDates || []);
+        const leaveByDate = new Map();
+        (employee.leaves || []).forEach(leave => {
+            const code = leave.half_day ? `${leave.type}-${leave.half_day.toUpperCase()}` : leave.type;
+            leaveByDate.set(leave.date, leaveByDate.has(leave.date) ? [leaveByDate.get(leave.date), code].sort().join('/') : code);
+        });
+        dates.forEach(date => {
+            const sessions = sessionsByDate.get(date) || [];
+            const entry = calendar.get(date);
+            const remarks = [];
+            if (entry && entry.type !== 'working_day') remarks.push(entry.name || (entry.type === 'office_closure' ? 'Office closure' : 'Holiday'));
+            if (leaveByDate.has(date)) remarks.push(leaveByDate.get(date));
+            if (partialSet.has(date)) remarks.push('Partial');
+            if (!sessions.length && !remarks.length && isWorkingDay(date, calendar)) remarks.push('Absent');
+            const row = { name: employee.name, date, day: moment(date).format('ddd'), remarks: remarks.join(', ') };
+            if (sessions.length) {
+                const lastOut = toLocalISOString(sessions[sessions.length - 1][1]);
+                Object.assign(row, {
+                    first_in: toLocalISOString(sessions[0][0]).slice(11, 16),
+                    last_out: lastOut.slice(11, 16) + (lastOut.slice(0, 10) > date ? ' +1' : ''),
+                    hours: Number(sessionHours(sessions).toFixed(2)),
+                    sessions: sessions.length
+                });
+            }
+            worksheet.addRow(row);
+        });
+    });
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+const HOLIDAY_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFF2CC' } }; // Light yellow
+const LEAVE_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFDDEBF7' } }; // Light blue
+const PARTIAL_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFCE4D6' } }; // Light orange
+const COMPLIANCE_FILLS = {
+    pass: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE2EFDA' } }, // Light green
+    fail: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8CBAD' } } // Light red
+};
+
+// Excel sheet names: at most 31 characters, none of []:*?/\ and unique within the workbook
+function uniqueSheetName(name, used) {
+    const base = (name.replace(/[\[\]:*?\/\\]/g, '-').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) candidate = `${base.slice(0, 31 - String(i).length - 1)} ${i}`;
+    used.add(candidate.toLowerCase());
+    return candidate;
+}
+
+// --- PDF report ---
+// The presence report as a PDF, drawn with PDFKit's built-in fonts so it is made entirely on
+// the server: the Excel export's grid on A4 landscape pages of PDF_EMPLOYEES_PER_PAGE people
+// (a period with more weeks than fit across continues on further pages), each team starting
+// on a new page, then a summary page. Every page has the report header and a footer with the
+// time it was generated and the page number.
+const PDF_MARGIN = 30;
+const PDF_NAME_WIDTH = 140;
+const PDF_DAY_WIDTH = 13;
+const PDF_WEEK_GAP = 5; // Blank column between weeks
+const PDF_TOTAL_WIDTH = 32;
+const PDF_TOTALS = ['Present', 'Partial', 'Leave', 'Att. %', 'Hours'];
+const PDF_CELL_FILLS = { present: '#D3D3D3', partial: '#FCE4D6', leave: '#DDEBF7', holiday: '#FFF2CC' };
+const PDF_CELL_COLORS = { partial: '#C65911' };
+
+// Text cut short with '...' to fit `width` at the current font size
+function fitPdfText(doc, text, width) {
+    let fitted = String(text);
+    if (doc.widthOfString(fitted) <= width) return fitted;
+    while (fitted && doc.widthOfString(`${fitted}...`) > width) fitted = fitted.slice(0, -1);
+    return `${fitted}...`;
+}
+
+// One line of text centred vertically in a box, clipped to its width
+function pdfCellText(doc, text, x, y, width, height, align = 'center') {
+    if (text === '' || text === null || text === undefined) return;
+    doc.text(fitPdfText(doc, text, width - 4), x + 2, y + (height - doc.currentLineHeight()) / 2, { width: width - 4, align, lineBreak: false });
+}
+
+// The built-in fonts have no ✓, so present days get a drawn check mark
+function drawPdfCheck(doc, x, y, width, height) {
+    const size = Math.min(width, height) * 0.6;
+    const left = x + (width - size) / 2;
+    const top = y + (height - size) / 2;
+    doc.save()
+        .lineWidth(1.2)
+        .strokeColor('#008000')
+        .moveTo(left, top + size * 0.55)
+        .lineTo(left + size * 0.38, top + size * 0.9)
+        .lineTo(left + size, top + size * 0.1)
+        .stroke()
+        .restore();
+}
+
+// Title, period and scope at the top of a page; returns the y below it
+function drawPdfHeader(doc, report, subtitle) {
+    const width = doc.page.width - PDF_MARGIN * 2;
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(14).text('Office Presence Report', PDF_MARGIN, PDF_MARGIN, { width, lineBreak: false });
+    doc.font('Helvetica').fontSize(10).text(report.period.label, PDF_MARGIN, PDF_MARGIN + 2, { width, align: 'right', lineBreak: false });
+    const scope = [report.scope, subtitle].filter(Boolean).join(' · ');
+    doc.fontSize(9).fillColor('#555555').text(scope || 'All employees', PDF_MARGIN, PDF_MARGIN + 20, { width, lineBreak: false });
+    doc.moveTo(PDF_MARGIN, PDF_MARGIN + 34).lineTo(PDF_MARGIN + width, PDF_MARGIN + 34).lineWidth(0.5).strokeColor('#999999').stroke();
+    doc.fillColor('black').strokeColor('black');
+    return PDF_MARGIN + 42;
+}
+
+// Splits weeks into runs that fit across one page next to the name and total columns
+function chunkPdfWeeks(doc, weeks, weekdays) {
+    const available = doc.page.width - PDF_MARGIN * 2 - PDF_NAME_WIDTH - PDF_TOTALS.length * PDF_TOTAL_WIDTH;
+    const perPage = Math.max(1, Math.floor(available / (weekdays.length * PDF_DAY_WIDTH + PDF_WEEK_GAP)));
+    const chunks = [];
+    for (let i = 0; i < weeks.length; i += perPage) chunks.push(weeks.slice(i, i + perPage));
+    return chunks;
+}
+
+/**
+ * Draws one page of the grid: `people` of `group` over `weeks`, with each person's period
+ * totals on the right. With `withSummary` (the group's last page of people) the group's
+ * headcount per day and average attendance follow the last row.
+ */
+function drawPresencePdfPage(doc, report, group, people, weeks, withSummary, rowHeight) {
+    const { calendar, inRange } = report;
+    const working = new Set(report.workingDays);
+    let top = drawPdfHeader(doc, report, group.team);
+    const dayColumns = [];
+    let x = PDF_MARGIN + PDF_NAME_WIDTH;
+
+    // --- Headers ---
+    doc.lineWidth(0.5);
+    doc.font('Helvetica-Bold').fontSize(6);
+    weeks.forEach(week => {
+        const weekWidth = week.days.length * PDF_DAY_WIDTH;
+        doc.rect(x, top, weekWidth, rowHeight).stroke();
+        pdfCellText(doc, week.range, x, top, weekWidth, rowHeight);
+        week.days.forEach((day, index) => {
+            const dayX = x + index * PDF_DAY_WIDTH;
+            const entry = calendar.get(day.format('YYYY-MM-DD'));
+            if (entry && entry.type !== 'working_day' && inRange(day)) doc.rect(dayX, top + rowHeight, PDF_DAY_WIDTH, rowHeight).fill(PDF_CELL_FILLS.holiday);
+            doc.fillColor('black').rect(dayX, top + rowHeight, PDF_DAY_WIDTH, rowHeight).stroke();
+            pdfCellText(doc, dayLetter(day), dayX, top + rowHeight, PDF_DAY_WIDTH, rowHeight);
+            dayColumns.push({ day, x: dayX });
+        });
+        x += weekWidth + PDF_WEEK_GAP;
+    });
+    const totalsX = x;
+    doc.rect(totalsX, top, 3 * PDF_TOTAL_WIDTH, rowHeight).stroke();
+    pdfCellText(doc, 'Days', totalsX, top, 3 * PDF_TOTAL_WIDTH, rowHeight);
+    doc.rect(totalsX + 3 * PDF_TOTAL_WIDTH, top, 2 * PDF_TOTAL_WIDTH, rowHeight).stroke();
+    pdfCellText(doc, 'Period', totalsX + 3 * PDF_TOTAL_WIDTH, top, 2 * PDF_TOTAL_WIDTH, rowHeight);
+    PDF_TOTALS.forEach((label, index) => {
+        doc.rect(totalsX + index * PDF_TOTAL_WIDTH, top + rowHeight, PDF_TOTAL_WIDTH, rowHeight).stroke();
+        pdfCellText(doc, label, totalsX + index * PDF_TOTAL_WIDTH, top + rowHeight, PDF_TOTAL_WIDTH, rowHeight);
+    });
+    doc.rect(PDF_MARGIN, top + rowHeight, PDF_NAME_WIDTH, rowHeight).stroke();
+    doc.fontSize(7);
+    pdfCellText(doc, 'Name', PDF_MARGIN, top + rowHeight, PDF_NAME_WIDTH, rowHeight, 'left');
+    top += rowHeight * 2;
+
+    // --- Rows ---
+    people.forEach(employee => {
+        const lookup = presenceLookup(employee);
+        doc.font('Helvetica').fontSize(7).fillColor('black');
+        doc.rect(PDF_MARGIN, top, PDF_NAME_WIDTH, rowHeight).stroke();
+        pdfCellText(doc, employee.name, PDF_MARGIN, top, PDF_NAME_WIDTH, rowHeight, 'left');
+        dayColumns.forEach(({ day, x: dayX }) => {
+            const { kind, text } = presenceCell(lookup, day, inRange, calendar);
+            if (PDF_CELL_FILLS[kind]) doc.rect(dayX, top, PDF_DAY_WIDTH, rowHeight).fill(PDF_CELL_FILLS[kind]);
+            doc.fillColor('black').rect(dayX, top, PDF_DAY_WIDTH, rowHeight).stroke();
+            if (kind === 'present') {
+                drawPdfCheck(doc, dayX, top, PDF_DAY_WIDTH, rowHeight);
+            } else {
+                doc.fontSize(kind === 'leave' ? 4.5 : 7).fillColor(PDF_CELL_COLORS[kind] || 'black');
+                pdfCellText(doc, text, dayX - 1, top, PDF_DAY_WIDTH + 2, rowHeight);
+            }
+        });
+        const presentWorking = employee.presenceDates.filter(date => working.has(date)).length;
+        const totals = [
+            employee.presenceDates.length,
+            (employee.partialDates || []).length,
+            employee.leave_days || 0,
+            `${(report.workingDays.length ? (presentWorking / report.workingDays.length) * 100 : 0).toFixed(1)}%`,
+            (employee.total_hours || 0).toFixed(2)
+        ];
+        doc.fontSize(7).fillColor('black');
+        totals.forEach((value, index) => {
+            doc.rect(totalsX + index * PDF_TOTAL_WIDTH, top, PDF_TOTAL_WIDTH, rowHeight).stroke();
+            pdfCellText(doc, value, totalsX + index * PDF_TOTAL_WIDTH, top, PDF_TOTAL_WIDTH, rowHeight);
+        });
+        top += rowHeight;
+    });
+    if (!withSummary) return;
+
+    // --- Summary Rows ---
+    const headcountByDate = new Map(group.summary.headcount_per_day.map(d => [d.date, d.headcount]));
+    doc.font('Helvetica-Bold').fontSize(7);
+    doc.rect(PDF_MARGIN, top, PDF_NAME_WIDTH, rowHeight).stroke();
+    pdfCellText(doc, 'Present (headcount)', PDF_MARGIN, top, PDF_NAME_WIDTH, rowHeight, 'left');
+    doc.font('Helvetica');
+    dayColumns.forEach(({ day, x: dayX }) => {
+        doc.rect(dayX, top, PDF_DAY_WIDTH, rowHeight).stroke();
+        if (inRange(day)) pdfCellText(doc, headcountByDate.get(day.format('YYYY-MM-DD')) || 0, dayX - 1, top, PDF_DAY_WIDTH + 2, rowHeight);
+    });
+    top += rowHeight;
+    const { summary } = group;
+    doc.font('Helvetica-Bold').text(`Avg. attendance: ${(summary.attendance_rate * 100).toFixed(1)}% of ${summary.working_days} working days (${summary.headcount} people)`, PDF_MARGIN, top + 4, { lineBreak: false });
+}
+
+// Legend line under the summary table, with the check mark drawn in front
+function drawPdfLegend(doc, y) {
+    drawPdfCheck(doc, PDF_MARGIN, y - 2, 12, 12);
+    doc.font('Helvetica').fontSize(8).fillColor('black').text(`present · ${PRESENCE_LEGEND}`, PDF_MARGIN + 14, y, { lineBreak: false });
+}
+
+// Last page: each group's headcount, attendance, leave and hours, and the busiest day
+function drawPresencePdfSummary(doc, report) {
+    let top = drawPdfHeader(doc, report, 'Summary');
+    const columns = [
+        { label: 'Team', width: 200, align: 'left' },
+        { label: 'People', width: 60 },
+        { label: 'Working days', width: 75 },
+        { label: 'Avg. attendance', width: 85 },
+        { label: 'Present days', width: 75 },
+        { label: 'Leave days', width: 70 },
+        { label: 'Hours', width: 70 },
+        { label: 'Busiest day', width: 110 }
+    ];
+    const rowHeight = 18;
+    const drawRow = (values, font) => {
+        let x = PDF_MARGIN;
+        doc.font(font).fontSize(9);
+        columns.forEach((column, index) => {
+            doc.rect(x, top, column.width, rowHeight).stroke();
+            pdfCellText(doc, values[index], x + 2, top, column.width - 4, rowHeight, column.align);
+            x += column.width;
+        });
+        top += rowHeight;
+    };
+    const busiest = (summary) => {
+        const peak = summary.headcount_per_day.reduce((best, day) => (day.headcount > (best ? best.headcount : 0) ? day : best), null);
+        return peak ? `${moment(peak.date).format('ddd, MMM D')} (${peak.headcount})` : '-';
+    };
+    const sum = (people, pick) => people.reduce((total, person) => total + (pick(person) || 0), 0);
+
+    doc.lineWidth(0.5);
+    drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+    report.groups.forEach(group => drawRow([
+        group.team || 'All employees',
+        group.summary.headcount,
+        group.summary.working_days,
+        `${(group.summary.attendance_rate * 100).toFixed(1)}%`,
+        sum(group.employees, person => person.presenceDates.length),
+        sum(group.employees, person => person.leave_days),
+        sum(group.employees, person => person.total_hours).toFixed(2),
+        busiest(group.summary)
+    ], 'Helvetica'));
+    if (report.groups.length > 1) {
+        const people = report.groups.flatMap(group => group.employees);
+        const headcount = sum(report.groups, group => group.summary.headcount);
+        const rate = headcount ? sum(report.groups, group => group.summary.attendance_rate * group.summary.headcount) / headcount : 0;
+        drawRow([
+            'Total',
+            headcount,
+            report.workingDays.length,
+            `${(rate * 100).toFixed(1)}%`,
+            sum(people, person => person.presenceDates.length),
+            sum(people, person => person.leave_days),
+            sum(people, person => person.total_hours).toFixed(2),
+            busiest(summarizeAttendance(people, report.period.startDate, report.period.endDate, report.calendar))
+        ], 'Helvetica-Bold');
+    }
+    drawPdfLegend(doc, top + 14);
+}
+
+/**
+ * Renders the presence report and resolves with the file contents.
+ * @param report { period (from resolveReportPeriod), scope (site/team line), groups (from
+ *        groupPresenceByTeam, or one group with team null), calendar, includeWeekends,
+ *        perPage, generatedAt (text for the footer) }
+ */
+function renderPresencePdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: PDF_MARGIN, autoFirstPage: false, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.info.Title = `Office Presence Report ${report.period.label}`;
+
+        const { startDate, endDate } = report.period;
+        const context = {
+            ...report,
+            inRange: reportRangeTest(startDate, endDate),
+            workingDays: listWorkingDays(startDate, endDate, report.calendar)
+        };
+        const { weekdays, weeks } = buildReportWeeks(startDate, endDate, report.calendar, report.includeWeekends);
+        doc.addPage();
+        const weekChunks = chunkPdfWeeks(doc, weeks, weekdays);
+        // Header, two header rows, the summary rows and the footer have to fit as well
+        const rowHeight = Math.min(15, (doc.page.height - PDF_MARGIN * 2 - 42 - 30) / (report.perPage + 4));
+        let first = true;
+        report.groups.filter(group => group.employees.length).forEach(group => {
+            for (let i = 0; i < group.employees.length; i += report.perPage) {
+                const people = group.employees.slice(i, i + report.perPage);
+                weekChunks.forEach(chunk => {
+                    if (!first) doc.addPage();
+                    first = false;
+                    drawPresencePdfPage(doc, context, group, people, chunk, i + report.perPage >= group.employees.length, rowHeight);
+                });
+            }
+        });
+        if (!first) doc.addPage();
+        drawPresencePdfSummary(doc, context);
+
+        // --- Footers ---
+        const { start, count } = doc.bufferedPageRange();
+        for (let i = start; i < start + count; i++) {
+            doc.switchToPage(i);
+            const bottom = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0; // Writing inside the margin would otherwise start a new page
+            const y = doc.page.height - PDF_MARGIN + 8;
+            const width = doc.page.width - PDF_MARGIN * 2;
+            doc.font('Helvetica').fontSize(7).fillColor('#555555');
+            doc.text(`Generated ${report.generatedAt}`, PDF_MARGIN, y, { width, lineBreak: false });
+            doc.text(`Page ${i - start + 1} of ${count}`, PDF_MARGIN, y, { width, align: 'right', lineBreak: false });
+            doc.page.margins.bottom = bottom;
+        }
+        doc.end();
+    });
+}
+
+// --- Tabular exports ---
+// /api/export writes rows out as they are produced rather than building the whole file
+// first: people come one at a time from streamPresenceData, and their rows go out as CSV or
+// JSON row by row, or as xlsx through ExcelJS's streaming writer.
+const EXPORT_FORMATS = ['csv', 'json', 'xlsx'];
+const EXPORT_REPORTS = ['presence', 'sessions'];
+
+// Text a spreadsheet would run as a formula; device names are whatever the device reports
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// One CSV field. Formula-like text gets a leading apostrophe so spreadsheets show it as text,
+// and fields with commas, quotes or line breaks are quoted.
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes to a response, resolving once it can take more (or the client has gone away)
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+    });
+}
+
+// streamPresenceData entries with their leaves (see attachLeaves), and the people who were
+// only on leave merged in by name. Leaves are few, so they are all read up front.
+async function* withLeaves(employees, startDate, endDate, team, calendar) {
+    const onLeave = await attachLeaves([], startDate, endDate, team, calendar);
+    const leaveOf = new Map(onLeave.map(employee => [employee.employee_id, employee]));
+    const written = new Set();
+    let next = 0;
+    for await (const employee of employees) {
+        for (; next < onLeave.length && onLeave[next].name.localeCompare(employee.name) < 0; next++) {
+            if (!written.has(onLeave[next].employee_id)) yield onLeave[next];
+        }
+        const leave = employee.employee_id && leaveOf.get(employee.employee_id);
+        if (leave) written.add(employee.employee_id);
+        Object.assign(employee, {
+            leaves: leave ? leave.leaves : [],
+            leave_days: leave ? leave.leave_days : 0,
+            leave_summary: leave ? leave.leave_summary : {}
+        });
+        yield employee;
+    }
+    for (; next < onLeave.length; next++) {
+        if (!written.has(onLeave[next].employee_id)) yield onLeave[next];
+    }
+}
+
+// Presence matrix: a person per row, a column per date with the Excel grid's codes (see
+// presenceCell), then their period totals. `employees` is an async iterable and `rows` an
+// async generator, so rows are made as they are written.
+function presenceExportTable(employees, startDate, endDate, calendar) {
+    const dates = listDates(startDate, endDate);
+    const working = new Set(listWorkingDays(startDate, endDate, calendar));
+    const inRange = reportRangeTest(startDate, endDate);
+    const columns = [
+        { key: 'name', header: 'Name', width: 30 },
+        { key: 'employee_number', header: 'Employee No.' },
+        { key: 'team', header: 'Team', width: 18 },
+        ...dates.map(date => ({ key: date, header: date, width: 11 })),
+        { key: 'present_days', header: 'Present' },
+        { key: 'partial_days', header: 'Partial' },
+        { key: 'leave_days', header: 'Leave' },
+        { key: 'attendance_rate', header: 'Att. %', numFmt: '0.0%' },
+        { key: 'total_hours', header: 'Hours', numFmt: '0.00' }
+    ];
+    async function* rows() {
+        for await (const employee of employees) {
+            const lookup = presenceLookup(employee);
+            const row = { name: employee.name, employee_number: employee.employee_number || null, team: employee.team_name || null };
+            dates.forEach(date => { row[date] = presenceCell(lookup, moment(date), inRange, calendar).text; });
+            Object.assign(row, {
+                present_days: employee.presenceDates.length,
+                partial_days: employee.partialDates.length,
+                leave_days: employee.leave_days || 0,
+                // Same rate as the Excel export: present days among the range's working days
+                attendance_rate: working.size ? Number((employee.presenceDates.filter(date => working.has(date)).length / working.size).toFixed(4)) : 0,
+                total_hours: employee.total_hours || 0
+            });
+            yield row;
+        }
+    }
+    return { columns, rows: rows() };
+}
+
+// Session detail: one row per merged session (as in /api/day-sessions) of each person's days
+// (`employees` as for presenceExportTable)
+function sessionsExportTable(employees) {
+    const columns = [
+        { key: 'name', header: 'Name', width: 30 },
+        { key: 'employee_number', header: 'Employee No.' },
+        { key: 'team', header: 'Team', width: 18 },
+        { key: 'date', header: 'Date' },
+        { key: 'session', header: 'Session' },
+        { key: 'time_in', header: 'Time In', width: 20 },
+        { key: 'time_out', header: 'Time Out', width: 20 },
+        { key: 'hours', header: 'Hours', numFmt: '0.00' }
+    ];
+    async function* rows() {
+        for await (const employee of employees) {
+            for (const { date, sessions } of employee.daySessions || []) {
+                for (let i = 0; i < sessions.length; i++) {
+                    yield {
+                        name: employee.name,
+                        employee_number: employee.employee_number || null,
+                        team: employee.team_name || null,
+                        date,
+                        session: i + 1,
+                        time_in: toLocalISOString(sessions[i][0]),
+                        time_out: toLocalISOString(sessions[i][1]),
+                        hours: Number(sessionHours([sessions[i]]).toFixed(2))
+                    };
+                }
+            }
+        }
+    }
+    return { columns, rows: rows() };
+}
+
+/**
+ * Streams an export table to the response in `format`. JSON is `meta` with the rows added
+ * as `rows` (objects keyed like the columns); CSV starts with a byte order mark so
+ * spreadsheets read it as UTF-8.
+ */
+async function writeExportTable(res, format, table, meta, sheetName) {
+    if (format === 'csv') {
+        await writeChunk(res, `\uFEFF${table.columns.map(column => csvField(column.header)).join(',')}\r\n`);
+        for await (const row of table.rows) {
+            if (res.destroyed) return;
+            await writeChunk(res, `${table.columns.map(column => csvField(row[column.key])).join(',')}\r\n`);
+        }
+        res.end();
+    } else if (format === 'json') {
+        await writeChunk(res, `${JSON.stringify(meta).slice(0, -1)},"rows":[`);
+        let first = true;
+        for await (const row of table.rows) {
+            if (res.destroyed) return;
+            await writeChunk(res, `${first ? '' : ','}\n${JSON.stringify(row)}`);
+            first = false;
+        }
+        res.end('\n]}\n');
+    } else {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+        const worksheet = workbook.addWorksheet(sheetName);
+        worksheet.columns = table.columns.map(({ key, header, width = 12, numFmt }) => ({ key, header, width, style: numFmt ? { numFmt } : {} }));
+        worksheet.getRow(1).font = { bold: true };
+        for await (const row of table.rows) {
+            if (res.destroyed) return;
+            worksheet.addRow(row).commit();
+        }
+        worksheet.commit();
+        await workbook.commit();
+    }
+}
+
+// --- API Endpoints ---
+
+/**
+ * @route   POST /api/sync
+ * @desc    Starts a background job that pulls logs from the source API into SQLite and
+ *          responds 202 with the job. Follow it at /api/sync/jobs/:id/events.
+ *          Without a range it continues from the stored checkpoint (re-checking the last
+ *          SYNC_RECHECK_DAYS days); with startDate/endDate it backfills that range instead.
+ *          Every configured site is synced unless `site` names one.
+ * @body    site?, startDate?, endDate? (YYYY-MM-DD)
+ */
+app.post('/api/sync', async (req, res) => {
+    const startDate = (req.body && req.body.startDate) || req.query.startDate;
+    const endDate = (req.body && req.body.endDate) || req.query.endDate;
+    const site = (req.body && req.body.site) || req.query.site;
+
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+    if (endDate && !startDate) {
+        return res.status(400).json({ error: 'startDate is required when endDate is given.' });
+    }
+    if ((startDate && !isValidDateString(startDate)) || (endDate && !isValidDateString(endDate))) {
+        return res.status(400).json({ error: 'startDate and endDate must be valid dates in YYYY-MM-DD format.' });
+    }
+    if (startDate) {
+        // Without endDate each site syncs up to its own today; allow up to the latest of them
+        const siteTodays = (site ? [getSite(site)] : SITES).map(s => moment.tz(s.timezone).format('YYYY-MM-DD'));
+        const rangeEnd = moment(endDate || siteTodays.sort().pop());
+        if (moment(startDate).isAfter(rangeEnd, 'day')) {
+            return res.status(400).json({ error: 'startDate must not be after endDate.' });
+        }
+        if (rangeEnd.diff(moment(startDate), 'days') >= MAX_SYNC_RANGE_DAYS) {
+            return res.status(400).json({ error: `A backfill may cover at most ${MAX_SYNC_RANGE_DAYS} days.` });
+        }
+    }
+
+    try {
+        const job = startSyncJob({ siteIds: site ? [site] : undefined, startDate, endDate });
+        res.status(202).json({ message: 'Sync started.', job: serializeSyncJob(job) });
+    } catch (error) {
+        if (error.code === 'SYNC_IN_PROGRESS') {
+            return res.status(409).json({ error: 'A sync is already running. Try again when it finishes.', job_id: activeSyncJobId });
+        }
+        console.error('An error occurred while starting the sync:', error);
+        res.status(500).json({ error: 'An error occurred during synchronization.' });
+    }
+});
+
+/**
+ * @route   GET /api/sync/jobs/:id
+ * @desc    Current state of a sync job (kept for an hour after it finishes).
+ */
+app.get('/api/sync/jobs/:id', (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found.' });
+    res.json(serializeSyncJob(job));
+});
+
+/**
+ * @route   GET /api/sync/jobs/:id/events
+ * @desc    Server-Sent Events stream of a sync job. Sends `progress` events with the job
+ *          state and a final `done` event, then closes.
+ */
+app.get('/api/sync/jobs/:id/events', (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found.' });
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders();
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('progress', serializeSyncJob(job));
+    if (job.status !== 'running' && job.status !== 'cancelling') {
+        send('done', serializeSyncJob(job));
+        return res.end();
+    }
+
+    const onProgress = (data) => send('progress', data);
+    const onDone = (data) => {
+        send('done', data);
+        res.end();
+    };
+    // Comment lines keep proxies from closing the stream while a slow day is being fetched
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    job.emitter.on('progress', onProgress);
+    job.emitter.once('done', onDone);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        job.emitter.off('progress', onProgress);
+        job.emitter.off('done', onDone);
+    });
+});
+
+/**
+ * @route   DELETE /api/sync/jobs/:id
+ * @desc    Cancels a running sync job. Days already fetched are kept.
+ */
+app.delete('/api/sync/jobs/:id', (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Sync job not found.' });
+    if (job.status !== 'running') {
+        return res.status(409).json({ error: `Sync job is already ${job.status}.` });
+    }
+    job.status = 'cancelling';
+    job.controller.abort();
+    job.emitter.emit('progress', serializeSyncJob(job));
+    res.status(202).json(serializeSyncJob(job));
+});
+
+/**
+ * @route   GET /api/sync/runs
+ * @desc    Lists recent sync runs, newest first, and each site's checkpoint.
+ * @query   limit? (default 20, max 200), site?
+ */
+app.get('/api/sync/runs', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    const { site } = req.query;
+    try {
+        const rows = site
+            ? await dbAll(`SELECT * FROM sync_runs WHERE site = ? ORDER BY id DESC LIMIT ?`, [site, limit])
+            : await dbAll(`SELECT * FROM sync_runs ORDER BY id DESC LIMIT ?`, [limit]);
+        const checkpoints = await getSyncCheckpoints();
+        res.json({ checkpoints, runs: rows.map(formatSyncRun) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/sync/failed-days
+ * @desc    Days whose fetch failed and are waiting for an automatic retry, plus the
+ *          circuit-breaker state of each site's source API. Days with next_retry_at = null
+ *          have used up their retries; a backfill covering them will still pick them up.
+ */
+app.get('/api/sync/failed-days', async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT * FROM failed_days ORDER BY site, date`);
+        res.json({
+            circuits: serializeSourceCircuits(),
+            max_attempts: FAILED_DAY_MAX_ATTEMPTS,
+            days: rows.map(row => ({ ...row, exhausted: row.next_retry_at === null }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/sync/status
+ * @desc    Scheduler state (next/last scheduled run and outcome) and the most recent completed sync.
+ */
+app.get('/api/sync/status', async (req, res) => {
+    try {
+        const lastRow = await dbGet(`SELECT * FROM sync_runs WHERE status != 'running' ORDER BY id DESC LIMIT 1`);
+        const lastSynced = await dbGet(`SELECT finished_at FROM sync_runs WHERE status IN ('success', 'partial') ORDER BY id DESC LIMIT 1`);
+        const failedDays = await dbGet(`SELECT COUNT(*) AS count FROM failed_days`);
+        res.json({
+            running: syncInProgress,
+            active_job_id: activeSyncJobId,
+            schedule: getSyncSchedule(),
+            next_run_at: syncScheduler.nextRunAt ? syncScheduler.nextRunAt.format() : null,
+            last_scheduled_run_at: syncScheduler.lastRunAt ? syncScheduler.lastRunAt.format() : null,
+            last_scheduled_outcome: syncScheduler.lastOutcome,
+            last_scheduled_error: syncScheduler.lastError,
+            last_synced_at: lastSynced ? lastSynced.finished_at : null,
+            last_run: lastRow ? formatSyncRun(lastRow) : null,
+            checkpoints: await getSyncCheckpoints(),
+            failed_days: failedDays.count,
+            source_circuits: serializeSourceCircuits()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+
+/**
+ * @route   POST /api/import
+ * @desc    Imports logs from an uploaded CSV or JSON file (e.g. a router dump).
+ *          Rows are validated, normalized and upserted like synced data, so re-importing
+ *          the same file doesn't create duplicates.
+ * @form    file (required), format? (csv|json, default from the file name),
+ *          mapping? (JSON: { Mac, Name, FirstSeen, LastSeen } -> column names in the file),
+ *          timestampFormat? (moment format, 'unix' or 'unix_ms'), delimiter? (CSV, default ','),
+ *          site? (default: the first configured site), dryRun? ('true' to validate without writing)
+ */
+app.post('/api/import', upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'A file is required.' });
+    const { format, timestampFormat, delimiter } = req.body;
+    const site = req.body.site || DEFAULT_SITE_ID;
+    const dryRun = req.body.dryRun === 'true';
+    if (!getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+    if (format && format !== 'csv' && format !== 'json') {
+        return res.status(400).json({ error: 'format must be csv or json.' });
+    }
+
+    let custom = {};
+    try {
+        if (req.body.mapping) custom = JSON.parse(req.body.mapping);
+    } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object.' });
+    }
+    if (!isPlainObject(custom)) return res.status(400).json({ error: 'mapping must be a JSON object.' });
+    const badField = LOG_FIELDS.find(field => custom[field] !== undefined && custom[field] !== null && typeof custom[field] !== 'string');
+    if (badField) return res.status(400).json({ error: `mapping.${badField} must be a column name (a string).` });
+    const mapping = {};
+    LOG_FIELDS.forEach(field => { mapping[field] = (custom[field] || field).trim(); });
+
+    let parsed;
+    try {
+        parsed = readImportRows(req.file, format, delimiter);
+    } catch (error) {
+        return res.status(400).json({ error: `Could not read file: ${error.message}` });
+    }
+    if (parsed.rows.length) {
+        const missing = ['Mac', 'FirstSeen'].filter(field => !(mapping[field] in parsed.rows[0]));
+        if (missing.length) {
+            return res.status(400).json({ error: `Column(s) not found in file: ${missing.map(field => mapping[field]).join(', ')}` });
+        }
+    }
+
+    const summary = { rows: parsed.rows.length, valid: 0, invalid: 0, inserted: 0, updated: 0, unchanged: 0 };
+    const errors = [];
+    try {
+        for (let i = 0; i < parsed.rows.length; i++) {
+            const result = validateImportRow(parsed.rows[i], mapping, timestampFormat, siteTimezone(site));
+            if (result.errors) {
+                summary.invalid++;
+                if (errors.length < IMPORT_MAX_REPORTED_ERRORS) {
+                    errors.push({ row: parsed.firstRowNumber + i, errors: result.errors, data: parsed.rows[i] });
+                }
+                continue;
+            }
+            summary.valid++;
+            if (!dryRun) summary[await upsertLog(result.log, site)]++;
+        }
+        if (!dryRun) invalidateMacLogStats();
+        console.log(`Import of ${req.file.originalname}${dryRun ? ' (dry run)' : ''}: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.inserted} inserted, ${summary.updated} updated.`);
+        res.json({
+            file: req.file.originalname,
+            site,
+            format: parsed.format,
+            dry_run: dryRun,
+            mapping,
+            summary,
+            errors,
+            errors_truncated: summary.invalid > errors.length
+        });
+    } catch (error) {
+        if (!dryRun) invalidateMacLogStats();
+        console.error('Import failed:', error);
+        res.status(500).json({ error: 'Import failed part-way through.', summary });
+    }
+});
+
+/**
+ * @route   GET /api/sites
+ * @desc    Configured sites (offices) that reports can be filtered by.
+ */
+app.get('/api/sites', (req, res) => {
+    res.json({
+        default_site: DEFAULT_SITE_ID,
+        sites: SITES.map(({ id, name, timezone }) => ({ id, name, timezone }))
+    });
+});
+
+/**
+ * @route   GET /api/employees
+ * @desc    Registered employees with their devices.
+ * @query   active? ('true' or 'false' to filter), team? (team id)
+ */
+app.get('/api/employees', async (req, res) => {
+    try {
+        const conditions = [];
+        const params = [];
+        if (req.query.active === 'true' || req.query.active === 'false') {
+            conditions.push(`active = ?`);
+            params.push(req.query.active === 'true' ? 1 : 0);
+        }
+        if (req.query.team) {
+            conditions.push(`team_id = ?`);
+            params.push(req.query.team);
+        }
+        let sql = `SELECT * FROM employees`;
+        if (conditions.length) sql += ` WHERE ${conditions.join(' AND ')}`;
+        const rows = await dbAll(`${sql} ORDER BY display_name`, params);
+        const devices = await dbAll(`SELECT employee_id, mac, label, alias_of, created_at FROM devices ORDER BY mac`);
+        const byEmployee = new Map();
+        devices.forEach(({ employee_id, ...device }) => {
+            if (!byEmployee.has(employee_id)) byEmployee.set(employee_id, []);
+            byEmployee.get(employee_id).push(device);
+        });
+        res.json({ employees: rows.map(row => formatEmployee(row, byEmployee.get(row.id) || [])) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/employees/:id
+ */
+app.get('/api/employees/:id', async (req, res) => {
+    try {
+        const row = await dbGet(`SELECT * FROM employees WHERE id = ?`, [req.params.id]);
+        if (!row) return res.status(404).json({ error: 'Employee not found.' });
+        res.json(formatEmployee(row, await getEmployeeDevices(row.id)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/employees
+ * @body    display_name (as it should appear in reports, e.g. 'DELA CRUZ, JUAN'),
+ *          employee_number?, department?, team_id?, shift_id? (overrides the team's shift),
+ *          policy_id? (overrides the team's hybrid work policy), active? (default true)
+ */
+app.post('/api/employees', async (req, res) => {
+    const { errors, values } = parseEmployeeInput(req.body || {}, false);
+    if (errors) return res.status(400).json({ error: errors.join(' ') });
+    const now = moment().format();
+    try {
+        if (values.team_id && !(await teamExists(values.team_id))) return res.status(400).json({ error: 'team_id does not match a team.' });
+        if (values.shift_id && !(await shiftExists(values.shift_id))) return res.status(400).json({ error: 'shift_id does not match a shift.' });
+        if (values.policy_id && !(await policyExists(values.policy_id))) return res.status(400).json({ error: 'policy_id does not match a policy.' });
+        const { lastID } = await dbRun(
+            `INSERT INTO employees (display_name, employee_number, department, team_id, shift_id, policy_id, active, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [values.display_name, values.employee_number || null, values.department || null, values.team_id || null, values.shift_id || null, values.policy_id || null, values.active === undefined ? 1 : values.active, now, now]
+        );
+        const row = await dbGet(`SELECT * FROM employees WHERE id = ?`, [lastID]);
+        res.status(201).json(formatEmployee(row, []));
+    } catch (error) {
+        if (isUniqueConstraintError(error)) return res.status(409).json({ error: 'Another employee already has that employee_number.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/employees/:id
+ * @desc    Updates the given fields of an employee.
+ */
+app.put('/api/employees/:id', async (req, res) => {
+    const { errors, values } = parseEmployeeInput(req.body || {}, true);
+    if (errors) return res.status(400).json({ error: errors.join(' ') });
+    try {
+        const existing = await dbGet(`SELECT id FROM employees WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Employee not found.' });
+        if (values.team_id && !(await teamExists(values.team_id))) return res.status(400).json({ error: 'team_id does not match a team.' });
+        if (values.shift_id && !(await shiftExists(values.shift_id))) return res.status(400).json({ error: 'shift_id does not match a shift.' });
+        if (values.policy_id && !(await policyExists(values.policy_id))) return res.status(400).json({ error: 'policy_id does not match a policy.' });
+        const columns = Object.keys(values);
+        if (columns.length) {
+            await dbRun(
+                `UPDATE employees SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+                [...columns.map(c => values[c]), moment().format(), existing.id]
+            );
+        }
+        const row = await dbGet(`SELECT * FROM employees WHERE id = ?`, [existing.id]);
+        res.json(formatEmployee(row, await getEmployeeDevices(existing.id)));
+    } catch (error) {
+        if (isUniqueConstraintError(error)) return res.status(409).json({ error: 'Another employee already has that employee_number.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/employees/:id
+ * @desc    Deletes an employee with their leaves and unlinks their devices (the devices fall
+ *          back to the name heuristics). To keep history under the employee, set active=false instead.
+ */
+app.delete('/api/employees/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT id FROM employees WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Employee not found.' });
+        await dbRun(`DELETE FROM devices WHERE employee_id = ?`, [existing.id]);
+        await dbRun(`DELETE FROM leaves WHERE employee_id = ?`, [existing.id]);
+        await dbRun(`DELETE FROM employees WHERE id = ?`, [existing.id]);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/devices
+ * @desc    Registered devices with the employee they belong to.
+ * @query   employeeId?
+ */
+app.get('/api/devices', async (req, res) => {
+    try {
+        let sql = `SELECT d.mac, d.label, d.alias_of, d.created_at, d.employee_id, e.display_name
+                   FROM devices d JOIN employees e ON e.id = d.employee_id`;
+        const params = [];
+        if (req.query.employeeId) {
+            sql += ` WHERE d.employee_id = ?`;
+            params.push(req.query.employeeId);
+        }
+        res.json({ devices: await dbAll(`${sql} ORDER BY d.mac`, params) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/devices
+ * @desc    Links a MAC address to an employee (claiming it if it was marked as ignored).
+ * @body    mac, employee_id, label?
+ */
+app.post('/api/devices', async (req, res) => {
+    const body = req.body || {};
+    const mac = normalizeMac(body.mac);
+    if (!mac) return res.status(400).json({ error: 'mac must be a valid MAC address.' });
+    try {
+        const employee = await dbGet(`SELECT id FROM employees WHERE id = ?`, [body.employee_id]);
+        if (!employee) return res.status(400).json({ error: 'employee_id does not match a registered employee.' });
+        await dbRun(`INSERT INTO devices (mac, employee_id, label, created_at) VALUES (?, ?, ?, ?)`,
+            [mac, employee.id, body.label ? String(body.label).trim() : null, moment().format()]);
+        await dbRun(`DELETE FROM ignored_devices WHERE mac = ?`, [mac]);
+        res.status(201).json(await dbGet(`SELECT * FROM devices WHERE mac = ?`, [mac]));
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'That device is already registered. Use PUT to move it.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/devices/:mac
+ * @desc    Moves a device to another employee and/or changes its label.
+ * @body    employee_id?, label?
+ */
+app.put('/api/devices/:mac', async (req, res) => {
+    const body = req.body || {};
+    const mac = normalizeMac(req.params.mac);
+    try {
+        const device = mac && await dbGet(`SELECT * FROM devices WHERE mac = ?`, [mac]);
+        if (!device) return res.status(404).json({ error: 'Device not found.' });
+        let employeeId = device.employee_id;
+        if (body.employee_id !== undefined) {
+            const employee = await dbGet(`SELECT id FROM employees WHERE id = ?`, [body.employee_id]);
+            if (!employee) return res.status(400).json({ error: 'employee_id does not match a registered employee.' });
+            employeeId = employee.id;
+        }
+        const label = body.label !== undefined ? (String(body.label || '').trim() || null) : device.label;
+        await dbRun(`UPDATE devices SET employee_id = ?, label = ? WHERE mac = ?`, [employeeId, label, mac]);
+        res.json(await dbGet(`SELECT * FROM devices WHERE mac = ?`, [mac]));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/devices/:mac
+ * @desc    Unlinks a device; its logs fall back to the name heuristics.
+ */
+app.delete('/api/devices/:mac', async (req, res) => {
+    const mac = normalizeMac(req.params.mac);
+    try {
+        const result = mac ? await dbRun(`DELETE FROM devices WHERE mac = ?`, [mac]) : { changes: 0 };
+        if (!result.changes) return res.status(404).json({ error: 'Device not found.' });
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/ignored-devices
+ * @desc    Devices marked as infrastructure or guest; they are left out of all reports.
+ */
+app.get('/api/ignored-devices', async (req, res) => {
+    try {
+        res.json({ devices: await dbAll(`SELECT * FROM ignored_devices ORDER BY category, mac`) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/ignored-devices
+ * @desc    Marks a device as infrastructure or guest. A device registered to an
+ *          employee has to be unlinked first.
+ * @body    mac, category ('infrastructure' or 'guest'), note?
+ */
+app.post('/api/ignored-devices', async (req, res) => {
+    const body = req.body || {};
+    const mac = normalizeMac(body.mac);
+    if (!mac) return res.status(400).json({ error: 'mac must be a valid MAC address.' });
+    if (!IGNORED_DEVICE_CATEGORIES.includes(body.category)) {
+        return res.status(400).json({ error: `category must be one of: ${IGNORED_DEVICE_CATEGORIES.join(', ')}.` });
+    }
+    try {
+        if (await dbGet(`SELECT mac FROM devices WHERE mac = ?`, [mac])) {
+            return res.status(409).json({ error: 'That device is registered to an employee.' });
+        }
+        await dbRun(`INSERT OR REPLACE INTO ignored_devices (mac, category, note, created_at) VALUES (?, ?, ?, ?)`,
+            [mac, body.category, body.note ? String(body.note).trim() : null, moment().format()]);
+        res.status(201).json(await dbGet(`SELECT * FROM ignored_devices WHERE mac = ?`, [mac]));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/ignored-devices/:mac
+ * @desc    Un-ignores a device so it shows up as unregistered again.
+ */
+app.delete('/api/ignored-devices/:mac', async (req, res) => {
+    const mac = normalizeMac(req.params.mac);
+    try {
+        const result = mac ? await dbRun(`DELETE FROM ignored_devices WHERE mac = ?`, [mac]) : { changes: 0 };
+        if (!result.changes) return res.status(404).json({ error: 'Device not found.' });
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/rules
+ * @desc    Device classification rules in evaluation order (highest priority first).
+ */
+app.get('/api/rules', async (req, res) => {
+    try {
+        const rows = await dbAll(`SELECT * FROM classification_rules ORDER BY priority DESC, id`);
+        res.json({ rules: rows.map(formatRule) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/rules
+ * @body    type ('name_regex' | 'mac_prefix' | 'device_suffix' | 'mac_list'), pattern,
+ *          action ('include' | 'exclude'), priority? (default 100), enabled?, description?
+ *          A mac_list pattern may be an array or a comma/newline separated string.
+ */
+app.post('/api/rules', async (req, res) => {
+    const { errors, values } = parseRuleInput(req.body || {}, false);
+    if (errors) return res.status(400).json({ error: errors.join(' ') });
+    const now = moment().format();
+    try {
+        const { lastID } = await dbRun(
+            `INSERT INTO classification_rules (type, pattern, action, priority, enabled, description, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [values.type, values.pattern, values.action, values.priority, values.enabled === undefined ? 1 : values.enabled, values.description || null, now, now]
+        );
+        res.status(201).json(formatRule(await dbGet(`SELECT * FROM classification_rules WHERE id = ?`, [lastID])));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/rules/:id
+ * @desc    Updates the given fields of a rule.
+ */
+app.put('/api/rules/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT * FROM classification_rules WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Rule not found.' });
+        const { errors, values } = parseRuleInput(req.body || {}, true, existing);
+        if (errors) return res.status(400).json({ error: errors.join(' ') });
+        const columns = Object.keys(values);
+        if (columns.length) {
+            await dbRun(
+                `UPDATE classification_rules SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = ? WHERE id = ?`,
+                [...columns.map(c => values[c]), moment().format(), existing.id]
+            );
+        }
+        res.json(formatRule(await dbGet(`SELECT * FROM classification_rules WHERE id = ?`, [existing.id])));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/rules/:id
+ */
+app.delete('/api/rules/:id', async (req, res) => {
+    try {
+        const result = await dbRun(`DELETE FROM classification_rules WHERE id = ?`, [req.params.id]);
+        if (!result.changes) return res.status(404).json({ error: 'Rule not found.' });
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/rules/test
+ * @desc    Previews a rule without saving it: lists the devices seen in the window whose
+ *          classification would change if the rule were added (or, with `id`, if the
+ *          stored rule were replaced by this version). Registered and ignored devices are
+ *          not affected by rules and are skipped.
+ * @body    Same fields as POST /api/rules, plus id?, from?/to? (YYYY-MM-DD, default the
+ *          last 30 days) and site?
+ */
+app.post('/api/rules/test', async (req, res) => {
+    const body = req.body || {};
+    const to = body.to || moment().format('YYYY-MM-DD');
+    const from = body.from || moment(to).subtract(29, 'days').format('YYYY-MM-DD');
+    if (!isValidDateString(from) || !isValidDateString(to) || from > to) {
+        return res.status(400).json({ error: 'from and to must be valid YYYY-MM-DD dates with from <= to.' });
+    }
+    if (body.site && !getSite(body.site)) return res.status(400).json({ error: `Unknown site '${body.site}'.` });
+    const { errors, values } = parseRuleInput(body, false);
+    if (errors) return res.status(400).json({ error: errors.join(' ') });
+
+    try {
+        const stored = await dbAll(ENABLED_RULES_SQL);
+        const candidateId = body.id !== undefined ? Number(body.id) : 0; // 0 never collides with a stored id
+        const others = stored.filter(rule => rule.id !== candidateId);
+        const before = compileRules(stored);
+        const after = compileRules([...others, { ...values, id: candidateId }]);
+
+        // One entry per device and name it reported, with the workdays it was seen on
+        const byDevice = new Map();
+        (await getUnclaimedSightings(from, to, body.site)).forEach(row => {
+            const key = `${row.Mac}\n${row.Name}`;
+            if (!byDevice.has(key)) byDevice.set(key, { Mac: row.Mac, Name: row.Name, days: new Set() });
+            row.workdays.forEach(date => byDevice.get(key).days.add(date));
+        });
+        const byText = (a, b) => (a === b ? 0 : a === null ? -1 : b === null ? 1 : a < b ? -1 : 1);
+        const devices = Array.from(byDevice.values())
+            .map(({ days, ...device }) => ({ ...device, daysSeen: days.size }))
+            .sort((a, b) => byText(a.Name, b.Name) || byText(a.Mac, b.Mac));
+
+        const label = (result) => (result.included ? 'include' : 'exclude');
+        const changed = [];
+        devices.forEach(row => {
+            const device = { mac: row.Mac, name: row.Name };
+            const was = classifyDevice(before, device);
+            const would = classifyDevice(after, device);
+            if (was.included === would.included) return;
+            changed.push({
+                mac: row.Mac,
+                name: row.Name,
+                days_seen: row.daysSeen,
+                before: label(was),
+                after: label(would),
+                before_rule_id: was.rule_id
+            });
+        });
+
+        res.json({ from, to, devices_checked: devices.length, changed });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/mac-merges/suggestions
+ * @desc    Suggested links from unclaimed randomized (locally-administered) MACs to
+ *          registered employees, with the signals behind each suggestion.
+ */
+app.get('/api/mac-merges/suggestions', async (req, res) => {
+    try {
+        res.json({ suggestions: await getMacMergeSuggestions() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/mac-merges
+ * @desc    Confirms a merge: registers the randomized MAC to the employee, so all of its
+ *          past and future logs count for them in every report. Undo with DELETE /api/devices/:mac.
+ * @body    mac, employee_id, alias_of? (the registered MAC it replaced)
+ */
+app.post('/api/mac-merges', async (req, res) => {
+    const body = req.body || {};
+    const mac = normalizeMac(body.mac);
+    if (!mac) return res.status(400).json({ error: 'mac must be a valid MAC address.' });
+    const aliasOf = body.alias_of ? normalizeMac(body.alias_of) : null;
+    if (body.alias_of && !aliasOf) return res.status(400).json({ error: 'alias_of must be a valid MAC address.' });
+    try {
+        const employee = await dbGet(`SELECT id FROM employees WHERE id = ?`, [body.employee_id]);
+        if (!employee) return res.status(400).json({ error: 'employee_id does not match a registered employee.' });
+        if (aliasOf && !(await dbGet(`SELECT mac FROM devices WHERE mac = ? AND employee_id = ?`, [aliasOf, employee.id]))) {
+            return res.status(400).json({ error: 'alias_of must be a device registered to that employee.' });
+        }
+        await dbRun(`INSERT INTO devices (mac, employee_id, label, alias_of, created_at) VALUES (?, ?, ?, ?, ?)`,
+            [mac, employee.id, 'Private MAC', aliasOf, moment().format()]);
+        await dbRun(`DELETE FROM ignored_devices WHERE mac = ?`, [mac]);
+        res.status(201).json(await dbGet(`SELECT * FROM devices WHERE mac = ?`, [mac]));
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT') return res.status(409).json({ error: 'That device is already registered.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/mac-merges/reject
+ * @desc    Dismisses a suggested merge so it is not suggested again.
+ * @body    mac, employee_id
+ */
+app.post('/api/mac-merges/reject', async (req, res) => {
+    const body = req.body || {};
+    const mac = normalizeMac(body.mac);
+    const employeeId = Number(body.employee_id);
+    if (!mac || !Number.isInteger(employeeId)) return res.status(400).json({ error: 'mac and employee_id are required.' });
+    try {
+        await dbRun(`INSERT OR REPLACE INTO mac_merge_rejections (mac, employee_id, created_at) VALUES (?, ?, ?)`,
+            [mac, employeeId, moment().format()]);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/teams
+ * @desc    Teams with their active headcount.
+ */
+app.get('/api/teams', async (req, res) => {
+    try {
+        const teams = await dbAll(
+            `SELECT t.*, COUNT(e.id) AS headcount FROM teams t
+             LEFT JOIN employees e ON e.team_id = t.id AND e.active = 1
+             GROUP BY t.id ORDER BY t.name`
+        );
+        res.json({ teams });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/teams
+ * @body    name, department?, shift_id? (shift of members without their own),
+ *          policy_id? (hybrid work policy of members without their own)
+ */
+app.post('/api/teams', async (req, res) => {
+    const body = req.body || {};
+    const name = body.name ? String(body.name).trim() : '';
+    if (!name) return res.status(400).json({ error: 'name is required.' });
+    const shiftId = body.shift_id === undefined ? null : body.shift_id;
+    if (shiftId !== null && !Number.isInteger(shiftId)) return res.status(400).json({ error: 'shift_id must be a shift id or null.' });
+    const policyId = body.policy_id === undefined ? null : body.policy_id;
+    if (policyId !== null && !Number.isInteger(policyId)) return res.status(400).json({ error: 'policy_id must be a policy id or null.' });
+    try {
+        if (shiftId && !(await shiftExists(shiftId))) return res.status(400).json({ error: 'shift_id does not match a shift.' });
+        if (policyId && !(await policyExists(policyId))) return res.status(400).json({ error: 'policy_id does not match a policy.' });
+        const { lastID } = await dbRun(`INSERT INTO teams (name, department, shift_id, policy_id, created_at) VALUES (?, ?, ?, ?, ?)`,
+            [name, body.department ? String(body.department).trim() : null, shiftId, policyId, moment().format()]);
+        res.status(201).json(await dbGet(`SELECT * FROM teams WHERE id = ?`, [lastID]));
+    } catch (error) {
+        if (isUniqueConstraintError(error)) return res.status(409).json({ error: 'A team with that name already exists.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/teams/:id
+ * @body    name?, department?, shift_id?, policy_id?
+ */
+app.put('/api/teams/:id', async (req, res) => {
+    const body = req.body || {};
+    try {
+        const team = await dbGet(`SELECT * FROM teams WHERE id = ?`, [req.params.id]);
+        if (!team) return res.status(404).json({ error: 'Team not found.' });
+        const name = body.name !== undefined ? String(body.name || '').trim() : team.name;
+        if (!name) return res.status(400).json({ error: 'name cannot be empty.' });
+        const department = body.department !== undefined ? (String(body.department || '').trim() || null) : team.department;
+        const shiftId = body.shift_id !== undefined ? body.shift_id : team.shift_id;
+        if (shiftId !== null && !Number.isInteger(shiftId)) return res.status(400).json({ error: 'shift_id must be a shift id or null.' });
+        if (shiftId && !(await shiftExists(shiftId))) return res.status(400).json({ error: 'shift_id does not match a shift.' });
+        const policyId = body.policy_id !== undefined ? body.policy_id : team.policy_id;
+        if (policyId !== null && !Number.isInteger(policyId)) return res.status(400).json({ error: 'policy_id must be a policy id or null.' });
+        if (policyId && !(await policyExists(policyId))) return res.status(400).json({ error: 'policy_id does not match a policy.' });
+        await dbRun(`UPDATE teams SET name = ?, department = ?, shift_id = ?, policy_id = ? WHERE id = ?`, [name, department, shiftId, policyId, team.id]);
+        res.json(await dbGet(`SELECT * FROM teams WHERE id = ?`, [team.id]));
+    } catch (error) {
+        if (isUniqueConstraintError(error)) return res.status(409).json({ error: 'A team with that name already exists.' });
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/teams/:id
+ * @desc    Deletes a team; its employees become unassigned.
+ */
+app.delete('/api/teams/:id', async (req, res) => {
+    try {
+        const team = await dbGet(`SELECT id FROM teams WHERE id = ?`, [req.params.id]);
+        if (!team) return res.status(404).json({ error: 'Team not found.' });
+        await dbRun(`UPDATE employees SET team_id = NULL WHERE team_id = ?`, [team.id]);
+        await dbRun(`DELETE FROM teams WHERE id = ?`, [team.id]);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/calendar
+ * @desc    Work-calendar entries (holidays, office closures, special working days).
+ * @query   year & month, or from & to (YYYY-MM-DD); site? (that site's entries plus
+ *          all-site ones; without it, every entry)
+ */
+app.get('/api/calendar', async (req, res) => {
+    const { year, month, site } = req.query;
+    let { from, to } = req.query;
+    if (year && month) ({ startDate: from, endDate: to } = monthDateRange(year, month));
+    if (!isValidDateString(from) || !isValidDateString(to)) {
+        return res.status(400).json({ error: 'Give year and month, or from and to as YYYY-MM-DD.' });
+    }
+    if (site && !getSite(site)) return res.status(400).json({ error: `Unknown site '${site}'.` });
+    try {
+        let sql = `SELECT * FROM calendar_days WHERE date BETWEEN ? AND ?`;
+        const params = [from, to];
+        if (site) {
+            sql += ` AND (site IS NULL OR site = ?)`;
+            params.push(site);
+        }
+        res.json({ types: CALENDAR_DAY_TYPES, days: await dbAll(`${sql} ORDER BY date, site`, params) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Validate a calendar entry body. Returns { error } or { values }.
+function parseCalendarInput(body) {
+    if (!isValidDateString(body.date)) return { error: 'date must be a valid YYYY-MM-DD date.' };
+    if (!CALENDAR_DAY_TYPES.includes(body.type)) return { error: `type must be one of: ${CALENDAR_DAY_TYPES.join(', ')}.` };
+    if (body.site && !getSite(body.site)) return { error: `Unknown site '${body.site}'.` };
+    return { values: { date: body.date, type: body.type, name: body.name ? String(body.name).trim() : null, site: body.site || null } };
+}
+
+/**
+ * @route   POST /api/calendar
+ * @body    date, type (regular_holiday | special_holiday | local_holiday | office_closure |
+ *          working_day), name?, site? (omit for all sites)
+ */
+app.post('/api/calendar', async (req, res) => {
+    const { error, values } = parseCalendarInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+        const { lastID } = await dbRun(`INSERT INTO calendar_days (date, type, name, site, created_at) VALUES (?, ?, ?, ?, ?)`,
+            [values.date, values.type, values.name, values.site, moment().format()]);
+        res.status(201).json(await dbGet(`SELECT * FROM calendar_days WHERE id = ?`, [lastID]));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'That date already has an entry for this site.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   PUT /api/calendar/:id
+ * @body    Same fields as POST; omitted ones keep their value.
+ */
+app.put('/api/calendar/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT * FROM calendar_days WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Calendar entry not found.' });
+        const { error, values } = parseCalendarInput({ ...existing, ...(req.body || {}) });
+        if (error) return res.status(400).json({ error });
+        await dbRun(`UPDATE calendar_days SET date = ?, type = ?, name = ?, site = ? WHERE id = ?`,
+            [values.date, values.type, values.name, values.site, existing.id]);
+        res.json(await dbGet(`SELECT * FROM calendar_days WHERE id = ?`, [existing.id]));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'That date already has an entry for this site.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/calendar/:id
+ */
+app.delete('/api/calendar/:id', async (req, res) => {
+    try {
+        const result = await dbRun(`DELETE FROM calendar_days WHERE id = ?`, [req.params.id]);
+        if (!result.changes) return res.status(404).json({ error: 'Calendar entry not found.' });
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/calendar/import
+ * @desc    Imports all-day events from an iCalendar (.ics) file, one entry per day of each
+ *          event. An existing entry for the same date and site is replaced. Events with an
+ *          invalid date, a recurrence rule or more than MAX_CALENDAR_EVENT_DAYS days are
+ *          skipped and listed in `skipped_events` with the reason.
+ * @form    file (required), type? (default: inferred per event — 'special working' ->
+ *          working_day, 'special' -> special_holiday, otherwise regular_holiday), site?,
+ *          dryRun? ('true' to preview)
+ */
+app.post('/api/calendar/import', upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'A file is required.' });
+    const { type } = req.body;
+    const site = req.body.site || null;
+    const dryRun = req.body.dryRun === 'true';
+    if (type && !CALENDAR_DAY_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${CALENDAR_DAY_TYPES.join(', ')}.` });
+    }
+    if (site && !getSite(site)) return res.status(400).json({ error: `Unknown site '${site}'.` });
+
+    const events = parseIcsEvents(req.file.buffer.toString('utf8'));
+    if (!events.length) return res.status(400).json({ error: 'No events found in the file.' });
+
+    const inferType = (event) => {
+        const text = `${event.summary || ''} ${event.description || ''}`;
+        if (/special\s+working/i.test(text)) return 'working_day';
+        if (/special/i.test(text)) return 'special_holiday';
+        return 'regular_holiday';
+    };
+
+    // Why an event can't be imported, or null
+    const skipReason = (event) => {
+        if (!isValidDateString(event.date)) return 'DTSTART is missing or not a valid date.';
+        if (event.endDate !== undefined && !isValidDateString(event.endDate)) return 'DTEND is not a valid date.';
+        if (event.recurring) return 'Recurring events (RRULE) are not supported; add each occurrence as its own event.';
+        if (event.endDate && moment(event.endDate).diff(moment(event.date), 'days') > MAX_CALENDAR_EVENT_DAYS) {
+            return `Events may span at most ${MAX_CALENDAR_EVENT_DAYS} days.`;
+        }
+        return null;
+    };
+
+    const summary = { events: events.length, days: 0, inserted: 0, updated: 0, skipped: 0 };
+    const days = [];
+    const skipped = [];
+    try {
+        for (const event of events) {
+            const reason = skipReason(event);
+            if (reason) {
+                summary.skipped++;
+                skipped.push({ summary: event.summary || null, date: event.date || null, reason });
+                continue;
+            }
+            // DTEND is exclusive; a missing or equal DTEND means a one-day event
+            const last = event.endDate && event.endDate > event.date ? moment(event.endDate).subtract(1, 'day').format('YYYY-MM-DD') : event.date;
+            for (const date of listDates(event.date, last)) {
+                const entry = { date, type: type || inferType(event), name: event.summary || null, site };
+                const existing = await dbGet(`SELECT id FROM calendar_days WHERE date = ? AND COALESCE(site, '') = ?`, [date, site || '']);
+                summary.days++;
+                summary[existing ? 'updated' : 'inserted']++;
+                days.push(entry);
+                if (dryRun) continue;
+                if (existing) {
+                    await dbRun(`UPDATE calendar_days SET type = ?, name = ? WHERE id = ?`, [entry.type, entry.name, existing.id]);
+                } else {
+                    await dbRun(`INSERT INTO calendar_days (date, type, name, site, created_at) VALUES (?, ?, ?, ?, ?)`,
+                        [date, entry.type, entry.name, site, moment().format()]);
+                }
+            }
+        }
+        res.json({ dry_run: dryRun, ...summary, days, skipped_events: skipped });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/leaves
+ * @desc    Leave records, optionally for one employee and/or overlapping a date range.
+ * @query   employeeId?, from?, to? (YYYY-MM-DD) or year & month
+ */
+app.get('/api/leaves', async (req, res) => {
+    const { employeeId, year, month } = req.query;
+    let { from, to } = req.query;
+    if (year && month) ({ startDate: from, endDate: to } = monthDateRange(year, month));
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates.' });
+    }
+    try {
+        const conditions = [];
+        const params = [];
+        if (employeeId) {
+            conditions.push(`lv.employee_id = ?`);
+            params.push(employeeId);
+        }
+        if (from) {
+            conditions.push(`lv.end_date >= ?`);
+            params.push(from);
+        }
+        if (to) {
+            conditions.push(`lv.start_date <= ?`);
+            params.push(to);
+        }
+        const rows = await dbAll(
+            `SELECT lv.*, e.display_name FROM leaves lv JOIN employees e ON e.id = lv.employee_id
+             ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY lv.start_date, e.display_name`,
+            params
+        );
+        res.json({ types: LEAVE_TYPES, leaves: rows });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/leaves
+ * @desc    Files a leave (or OB/WFH day) for a registered employee.
+ * @body    employee_id, type (VL | SL | OB | WFH), start_date, end_date? (default start_date),
+ *          half_day? ('am' or 'pm'; single-day leaves only), note?
+ */
+app.post('/api/leaves', async (req, res) => {
+    const { error, values } = parseLeaveInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    try {
+        if (!(await dbGet(`SELECT id FROM employees WHERE id = ?`, [values.employee_id]))) {
+            return res.status(400).json({ error: 'employee_id does not match a registered employee.' });
+        }
+        const overlap = await findOverlappingLeave(values);
+        if (overlap) return res.status(409).json({ error: `Overlaps leave ${overlap.id} (${overlap.type} ${overlap.start_date} to ${overlap.end_date}).` });
+        const { lastID } = await dbRun(
+            `INSERT INTO leaves (employee_id, type, start_date, end_date, half_day, note, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [values.employee_id, values.type, values.start_date, values.end_date, values.half_day, values.note, moment().format()]
+        );
+        res.status(201).json(await dbGet(`SELECT * FROM leaves WHERE id = ?`, [lastID]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   PUT /api/leaves/:id
+ * @body    Same fields as POST; omitted ones keep their value.
+ */
+app.put('/api/leaves/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT * FROM leaves WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Leave not found.' });
+        const body = req.body || {};
+        // Moving the start date of a one-day leave moves the whole leave unless end_date is given
+        const merged = { ...existing, ...body };
+        if (body.start_date && body.end_date === undefined && existing.start_date === existing.end_date) merged.end_date = body.start_date;
+        const { error, values } = parseLeaveInput(merged);
+        if (error) return res.status(400).json({ error });
+        if (!(await dbGet(`SELECT id FROM employees WHERE id = ?`, [values.employee_id]))) {
+            return res.status(400).json({ error: 'employee_id does not match a registered employee.' });
+        }
+        const overlap = await findOverlappingLeave(values, existing.id);
+        if (overlap) return res.status(409).json({ error: `Overlaps leave ${overlap.id} (${overlap.type} ${overlap.start_date} to ${overlap.end_date}).` });
+        await dbRun(`UPDATE leaves SET employee_id = ?, type = ?, start_date = ?, end_date = ?, half_day = ?, note = ? WHERE id = ?`,
+            [values.employee_id, values.type, values.start_date, values.end_date, values.half_day, values.note, existing.id]);
+        res.json(await dbGet(`SELECT * FROM leaves WHERE id = ?`, [existing.id]));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/leaves/:id
+ */
+app.delete('/api/leaves/:id', async (req, res) => {
+    try {
+        const result = await dbRun(`DELETE FROM leaves WHERE id = ?`, [req.params.id]);
+        if (!result.changes) return res.status(404).json({ error: 'Leave not found.' });
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/shifts
+ * @desc    Shift schedules with the number of employees and teams assigned to each.
+ */
+app.get('/api/shifts', async (req, res) => {
+    try {
+        const rows = await dbAll(
+            `SELECT s.*,
+                    (SELECT COUNT(*) FROM employees e WHERE e.shift_id = s.id) AS employees,
+                    (SELECT COUNT(*) FROM teams t WHERE t.shift_id = s.id) AS teams
+             FROM shifts s ORDER BY s.name`
+        );
+        res.json({ shifts: rows.map(formatShift) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/shifts
+ * @body    name, type? ('fixed' (default) | 'flexible'), start_time, end_time ('HH:mm'),
+ *          required_hours? (flexible shifts), grace_minutes? (default 0),
+ *          days? (per-weekday overrides, e.g. { "sat": { "start_time": "08:00", "end_time": "12:00" }, "fri": null })
+ */
+app.post('/api/shifts', async (req, res) => {
+    const { error, values } = parseShiftInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const now = moment().format();
+    try {
+        const { lastID } = await dbRun(
+            `INSERT INTO shifts (name, type, start_time, end_time, required_hours, grace_minutes, days, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [values.name, values.type, values.start_time, values.end_time, values.required_hours, values.grace_minutes, values.days, now, now]
+        );
+        res.status(201).json(formatShift(await dbGet(`SELECT * FROM shifts WHERE id = ?`, [lastID])));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'A shift with that name already exists.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   PUT /api/shifts/:id
+ * @body    Same fields as POST; omitted ones keep their value.
+ */
+app.put('/api/shifts/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT * FROM shifts WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Shift not found.' });
+        const { error, values } = parseShiftInput({ ...formatShift(existing), ...(req.body || {}) });
+        if (error) return res.status(400).json({ error });
+        await dbRun(
+            `UPDATE shifts SET name = ?, type = ?, start_time = ?, end_time = ?, required_hours = ?, grace_minutes = ?, days = ?, updated_at = ? WHERE id = ?`,
+            [values.name, values.type, values.start_time, values.end_time, values.required_hours, values.grace_minutes, values.days, moment().format(), existing.id]
+        );
+        res.json(formatShift(await dbGet(`SELECT * FROM shifts WHERE id = ?`, [existing.id])));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'A shift with that name already exists.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/shifts/:id
+ * @desc    Deletes a shift; employees and teams on it are left without one.
+ */
+app.delete('/api/shifts/:id', async (req, res) => {
+    try {
+        const shift = await dbGet(`SELECT id FROM shifts WHERE id = ?`, [req.params.id]);
+        if (!shift) return res.status(404).json({ error: 'Shift not found.' });
+        await dbRun(`UPDATE employees SET shift_id = NULL WHERE shift_id = ?`, [shift.id]);
+        await dbRun(`UPDATE teams SET shift_id = NULL WHERE shift_id = ?`, [shift.id]);
+        await dbRun(`DELETE FROM shifts WHERE id = ?`, [shift.id]);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/policies
+ * @desc    Hybrid work policies with the number of employees and teams assigned to each.
+ */
+app.get('/api/policies', async (req, res) => {
+    try {
+        const rows = await dbAll(
+            `SELECT p.*,
+                    (SELECT COUNT(*) FROM employees e WHERE e.policy_id = p.id) AS employees,
+                    (SELECT COUNT(*) FROM teams t WHERE t.policy_id = p.id) AS teams
+             FROM work_policies p ORDER BY p.name`
+        );
+        res.json({ policies: rows.map(formatPolicy) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/policies
+ * @body    name, min_days_per_week? (1-7 office days per ISO week), anchor_days? (weekdays
+ *          that must be office days, e.g. ["tue", "thu"]); at least one of the two
+ */
+app.post('/api/policies', async (req, res) => {
+    const { error, values } = parsePolicyInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    const now = moment().format();
+    try {
+        const { lastID } = await dbRun(
+            `INSERT INTO work_policies (name, min_days_per_week, anchor_days, created_at, updated_at) VALUES (?, ?, ?, ?, ?)`,
+            [values.name, values.min_days_per_week, values.anchor_days, now, now]
+        );
+        res.status(201).json(formatPolicy(await dbGet(`SELECT * FROM work_policies WHERE id = ?`, [lastID])));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'A policy with that name already exists.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   PUT /api/policies/:id
+ * @body    Same fields as POST; omitted ones keep their value.
+ */
+app.put('/api/policies/:id', async (req, res) => {
+    try {
+        const existing = await dbGet(`SELECT * FROM work_policies WHERE id = ?`, [req.params.id]);
+        if (!existing) return res.status(404).json({ error: 'Policy not found.' });
+        const { error, values } = parsePolicyInput({ ...formatPolicy(existing), ...(req.body || {}) });
+        if (error) return res.status(400).json({ error });
+        await dbRun(
+            `UPDATE work_policies SET name = ?, min_days_per_week = ?, anchor_days = ?, updated_at = ? WHERE id = ?`,
+            [values.name, values.min_days_per_week, values.anchor_days, moment().format(), existing.id]
+        );
+        res.json(formatPolicy(await dbGet(`SELECT * FROM work_policies WHERE id = ?`, [existing.id])));
+    } catch (err) {
+        if (isUniqueConstraintError(err)) return res.status(409).json({ error: 'A policy with that name already exists.' });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/policies/:id
+ * @desc    Deletes a policy; employees and teams on it are left without one.
+ */
+app.delete('/api/policies/:id', async (req, res) => {
+    try {
+        const policy = await dbGet(`SELECT id FROM work_policies WHERE id = ?`, [req.params.id]);
+        if (!policy) return res.status(404).json({ error: 'Policy not found.' });
+        await dbRun(`UPDATE employees SET policy_id = NULL WHERE policy_id = ?`, [policy.id]);
+        await dbRun(`UPDATE teams SET policy_id = NULL WHERE policy_id = ?`, [policy.id]);
+        await dbRun(`DELETE FROM work_policies WHERE id = ?`, [policy.id]);
+        res.status(204).end();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/attendance/exceptions
+ * @desc    Late, undertime and overtime minutes and absences of employees with a shift,
+ *          per day, with totals for the period (see getAttendanceExceptions).
+ * @query   year & month, or another report period (see resolveReportPeriod); site?,
+ *          team? (team id), gapMinutes? (default 30)
+ */
+app.get('/api/attendance/exceptions', async (req, res) => {
+    const { site, team } = req.query;
+    const period = resolveReportPeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+    if (site && !getSite(site)) return res.status(400).json({ error: `Unknown site '${site}'.` });
+    const { gapMinutes } = req.query;
+    const gap = gapMinutes === undefined || gapMinutes === '' ? 30 : Number(gapMinutes);
+    if (!Number.isInteger(gap) || gap < 0) return res.status(400).json({ error: 'gapMinutes must be a whole number of minutes (0 or more).' });
+    try {
+        if (team && !(await teamExists(team))) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate, label } = period;
+        const calendar = await getWorkCalendar(startDate, endDate, site);
+        const employees = await getAttendanceExceptions(startDate, endDate, site, team, calendar, gap);
+        res.json({ period: { from: startDate, to: endDate, label }, employees });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/compliance
+ * @desc    Hybrid work policy compliance per ISO week of every active employee with a policy
+ *          (see getPolicyCompliance). Weeks are whole ISO weeks overlapping the period.
+ * @query   from & to, or another report period (see resolveReportPeriod), site?, team? (team id)
+ */
+app.get('/api/compliance', async (req, res) => {
+    const { site, team } = req.query;
+    const period = resolveReportPeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+    try {
+        if (team && !(await teamExists(team))) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate, label } = period;
+        const employees = await getPolicyCompliance(startDate, endDate, site, team);
+        res.json({ period: { from: startDate, to: endDate, label }, employees });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Note: The original /api/presence-report endpoint is now simplified by using the shared function
+// We will keep it in case you want to switch back to the calendar view later.
+// Query: year & month, or another report period (from/to, cutoff, week, quarter, year; see
+// resolveReportPeriod), site?, team? (team id). `period` echoes the range and its label.
+// `teams` holds per-team summaries (headcount, average attendance rate, headcount per day), in the order the UI groups the cards.
+// `calendar` lists the range's holidays/closures/working days and `working_days` counts them in.
+// Each employee's `partialDates` are the days below the presence rule (`presence_rule`).
+// Employees with a hybrid work policy get `compliance` (policy, week totals, weeks; see getPolicyCompliance).
+app.get('/api/presence-report', async (req, res) => {
+    const { site, team } = req.query;
+    const period = resolveReportPeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+    try {
+        if (team && !(await teamExists(team))) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate, label } = period;
+        // Unregistered devices belong to no team, so a team view leaves them out
+        const unregistered = team ? [] : await getUnregisteredDevices(startDate, endDate, site);
+        const calendar = await getWorkCalendar(startDate, endDate, site);
+        const employees = await attachLeaves(await getPresenceData(startDate, endDate, site, team), startDate, endDate, team, calendar);
+        const teams = (await groupPresenceByTeam(employees, startDate, endDate, team, calendar))
+            .map(({ employees: members, ...group }) => group);
+        const compliance = new Map((await getPolicyCompliance(startDate, endDate, site, team)).map(entry => [entry.employee_id, entry]));
+        employees.forEach(employee => {
+            const entry = compliance.get(employee.employee_id);
+            if (entry) employee.compliance = { policy: entry.policy, totals: entry.totals, weeks: entry.weeks };
+        });
+        res.json({
+            period: { from: startDate, to: endDate, label },
+            employees,
+            unregistered,
+            teams,
+            working_days: listWorkingDays(startDate, endDate, calendar).length,
+            calendar: Array.from(calendar.values()).map(({ date, type, name }) => ({ date, type, name })),
+            presence_rule: PRESENCE_RULE
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/occupancy
+ * @desc    Office headcount per time bucket (see buildOccupancy): the time series, each day's
+ *          peak and an hour-by-weekday heatmap. Times are the office's wall-clock time.
+ * @query   from & to, or another report period (see resolveReportPeriod), bucket? ('15m' or
+ *          '1h', the default), site?, team? (team id)
+ */
+app.get('/api/occupancy', async (req, res) => {
+    const { site, team } = req.query;
+    const bucket = req.query.bucket || '1h';
+    if (!OCCUPANCY_BUCKETS[bucket]) {
+        return res.status(400).json({ error: `bucket must be one of: ${Object.keys(OCCUPANCY_BUCKETS).join(', ')}.` });
+    }
+    const period = resolveReportPeriod(req.query);
+    if (period.error) return res.status(400).json({ error: period.error });
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+    try {
+        if (team && !(await teamExists(team))) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate, label } = period;
+        const people = await getPresenceData(startDate, endDate, site, team, true);
+        res.json({
+            period: { from: startDate, to: endDate, label },
+            bucket,
+            bucket_minutes: OCCUPANCY_BUCKETS[bucket],
+            people: people.length,
+            ...buildOccupancy(people, startDate, endDate, OCCUPANCY_BUCKETS[bucket])
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/export-excel
+ * @desc    Generates and returns an Excel attendance report. Once teams exist the workbook
+ *          has one sheet per team (plus 'Unassigned'); otherwise a single sheet. A 'Time In-Out'
+ *          sheet lists everyone's first in, last out and hours per day, and employees with
+ *          a shift also get a 'Late & Undertime' sheet. Once hybrid work policies are assigned,
+ *          each week block ends with a Policy column (see getPolicyCompliance).
+ * @query   year & month, or another report period (from/to, cutoff, week, quarter, year;
+ *          see resolveReportPeriod), site?, team? (team id; only that team's sheet),
+ *          includeWeekends? ('true' to show every Saturday and Sunday, not only working ones)
+ */
+app.get('/api/export-excel', async (req, res) => {
+    const { site, team } = req.query;
+    const includeWeekends = req.query.includeWeekends === 'true';
+    const period = resolveReportPeriod(req.query);
+    if (period.error) {
+        return res.status(400).json({ error: period.error });
+    }
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+
+    try {
+        const teamRow = team ? await dbGet(`SELECT * FROM teams WHERE id = ?`, [team]) : null;
+        if (team && !teamRow) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate } = period;
+        const calendar = await getWorkCalendar(startDate, endDate, site);
+        const employees = await attachLeaves(await getPresenceData(startDate, endDate, site, team, true), startDate, endDate, team, calendar);
+        const groups = await groupPresenceByTeam(employees, startDate, endDate, team, calendar);
+        const compliance = new Map((await getPolicyCompliance(startDate, endDate, site, team))
+            .map(entry => [entry.employee_id, new Map(entry.weeks.map(week => [week.week, week]))]));
+        const workbook = new ExcelJS.Workbook();
+
+        const usedNames = new Set();
+        if (groups.some(group => group.team_id !== null)) {
+            groups.forEach(group => {
+                addPresenceSheet(workbook, uniqueSheetName(group.team, usedNames), group.employees, startDate, endDate, group.summary, calendar, includeWeekends, compliance);
+            });
+        } else {
+            addPresenceSheet(workbook, uniqueSheetName(period.label, usedNames), employees, startDate, endDate, summarizeAttendance(employees, startDate, endDate, calendar), calendar, includeWeekends, compliance);
+        }
+        const timeSheetDates = listDates(startDate, endDate)
+            .filter(date => includeWeekends || moment(date).isoWeekday() <= 5 || isWorkingDay(date, calendar));
+        addTimeSheet(workbook, uniqueSheetName('Time In-Out', usedNames), employees, timeSheetDates, calendar);
+        // Only once shifts are assigned is there a schedule to measure against
+        const exceptions = await getAttendanceExceptions(startDate, endDate, site, team, calendar);
+        if (exceptions.length) addExceptionsSheet(workbook, uniqueSheetName('Late & Undertime', usedNames), exceptions);
+
+        // --- Send File ---
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const siteSuffix = site ? `-${site}` : '';
+        const teamSuffix = teamRow ? `-${teamRow.name.replace(/[^A-Za-z0-9_-]+/g, '_')}` : '';
+        res.setHeader('Content-Disposition', `attachment; filename="Presence-Report${siteSuffix}${teamSuffix}-${period.key}.xlsx"`);
+        await workbook.xlsx.write(res);
+        res.end();
+
+    } catch (error) {
+        console.error('Failed to generate Excel file:', error);
+        res.status(500).send('Failed to generate Excel report.');
+    }
+});
+
+/**
+ * @route   GET /api/export-pdf
+ * @desc    The Excel report's week-grouped ✓/x grid as a PDF (see renderPresencePdf): pages of
+ *          up to `perPage` people per team, then a summary page with each team's totals.
+ * @query   year & month, or another report period (as for /api/export-excel), site?, team?,
+ *          includeWeekends? ('true'), perPage? (people per page, default PDF_EMPLOYEES_PER_PAGE)
+ */
+app.get('/api/export-pdf', async (req, res) => {
+    const { site, team } = req.query;
+    const includeWeekends = req.query.includeWeekends === 'true';
+    const perPage = req.query.perPage !== undefined ? Number(req.query.perPage) : PDF_EMPLOYEES_PER_PAGE;
+    const period = resolveReportPeriod(req.query);
+    if (period.error) {
+        return res.status(400).json({ error: period.error });
+    }
+    if (!Number.isInteger(perPage) || perPage < 1 || perPage > 100) {
+        return res.status(400).json({ error: 'perPage must be a whole number from 1 to 100.' });
+    }
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+
+    try {
+        const teamRow = team ? await dbGet(`SELECT * FROM teams WHERE id = ?`, [team]) : null;
+        if (team && !teamRow) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate } = period;
+        const calendar = await getWorkCalendar(startDate, endDate, site);
+        const employees = await attachLeaves(await getPresenceData(startDate, endDate, site, team, true), startDate, endDate, team, calendar);
+        let groups = await groupPresenceByTeam(employees, startDate, endDate, team, calendar);
+        // Like the Excel export: one unnamed group until teams exist
+        if (!groups.some(group => group.team_id !== null)) {
+            groups = [{ team_id: null, team: null, department: null, employees, summary: summarizeAttendance(employees, startDate, endDate, calendar) }];
+        }
+        const timezone = siteTimezone(site);
+        const pdf = await renderPresencePdf({
+            period,
+            scope: [site && getSite(site).name, teamRow && `Team ${teamRow.name}`].filter(Boolean).join(' · '),
+            groups,
+            calendar,
+            includeWeekends,
+            perPage,
+            generatedAt: `${moment.tz(timezone).format('YYYY-MM-DD HH:mm')} (${timezone})`
+        });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        const siteSuffix = site ? `-${site}` : '';
+        const teamSuffix = teamRow ? `-${teamRow.name.replace(/[^A-Za-z0-9_-]+/g, '_')}` : '';
+        res.setHeader('Content-Disposition', `attachment; filename="Presence-Report${siteSuffix}${teamSuffix}-${period.key}.pdf"`);
+        res.end(pdf);
+    } catch (error) {
+        console.error('Failed to generate PDF file:', error);
+        res.status(500).send('Failed to generate PDF report.');
+    }
+});
+
+/**
+ * @route   GET /api/export
+ * @desc    The presence matrix (`report=presence`: a row per person and a column per date
+ *          with the Excel grid's codes, then their totals) or the session detail
+ *          (`report=sessions`: a row per merged session) as CSV, JSON or xlsx, written out
+ *          row by row. Formula-like text in CSV cells is escaped (see csvField).
+ * @query   format? ('csv', the default, 'json' or 'xlsx'), report? ('presence', the default,
+ *          or 'sessions'), year & month or another report period (see resolveReportPeriod),
+ *          site?, team? (team id)
+ */
+app.get('/api/export', async (req, res) => {
+    const { site, team } = req.query;
+    const format = req.query.format || 'csv';
+    const report = req.query.report || 'presence';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+    }
+    if (!EXPORT_REPORTS.includes(report)) {
+        return res.status(400).json({ error: `report must be one of: ${EXPORT_REPORTS.join(', ')}.` });
+    }
+    const period = resolveReportPeriod(req.query);
+    if (period.error) {
+        return res.status(400).json({ error: period.error });
+    }
+    if (site && !getSite(site)) {
+        return res.status(400).json({ error: `Unknown site '${site}'.` });
+    }
+
+    try {
+        const teamRow = team ? await dbGet(`SELECT * FROM teams WHERE id = ?`, [team]) : null;
+        if (team && !teamRow) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const { startDate, endDate } = period;
+        const employees = streamPresenceData(startDate, endDate, site, team, report === 'sessions');
+        let table;
+        if (report === 'presence') {
+            const calendar = await getWorkCalendar(startDate, endDate, site);
+            table = presenceExportTable(withLeaves(employees, startDate, endDate, team, calendar), startDate, endDate, calendar);
+        } else {
+            table = sessionsExportTable(employees);
+        }
+
+        const contentTypes = {
+            csv: 'text/csv; charset=utf-8',
+            json: 'application/json; charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        };
+        res.setHeader('Content-Type', contentTypes[format]);
+        const siteSuffix = site ? `-${site}` : '';
+        const teamSuffix = teamRow ? `-${teamRow.name.replace(/[^A-Za-z0-9_-]+/g, '_')}` : '';
+        const baseName = report === 'presence' ? 'Presence-Report' : 'Presence-Sessions';
+        res.setHeader('Content-Disposition', `attachment; filename="${baseName}${siteSuffix}${teamSuffix}-${period.key}.${format}"`);
+        const meta = { report, period: { from: startDate, to: endDate, label: period.label }, site: site || null, team: teamRow ? teamRow.name : null };
+        await writeExportTable(res, format, table, meta, uniqueSheetName(report === 'presence' ? period.label : 'Sessions', new Set()));
+    } catch (error) {
+        console.error('Failed to export report:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Failed to export report.' });
+    }
+});
+
+/**
+ * @route   GET /api/dtr
+ * @desc    Daily Time Record (Civil Service Form 48) of one employee for a month, as a PDF or
+ *          an xlsx (see buildDailyTimeRecords). Without `employee`, a zip with one DTR file
+ *          per active employee (of `team`, if given).
+ * @query   year, month, employee? (employee id), format? ('pdf', the default, or 'xlsx'),
+ *          site?, team? (team id; bulk only)
+ */
+app.get('/api/dtr', async (req, res) => {
+    const { year, month, employee, site, team } = req.query;
+    const format = req.query.format || 'pdf';
+    if (!year || !month) return res.status(400).json({ error: 'year and month are required.' });
+    const period = resolveReportPeriod({ year, month });
+    if (period.error) return res.status(400).json({ error: period.error });
+    if (!['pdf', 'xlsx'].includes(format)) return res.status(400).json({ error: "format must be 'pdf' or 'xlsx'." });
+    if (site && !getSite(site)) return res.status(400).json({ error: `Unknown site '${site}'.` });
+
+    try {
+        if (team && !(await teamExists(team))) return res.status(400).json({ error: `Unknown team '${team}'.` });
+        const sql = `SELECT e.id, e.display_name, COALESCE(e.shift_id, t.shift_id) AS shift_id
+                     FROM employees e LEFT JOIN teams t ON t.id = e.team_id`;
+        let employees;
+        if (employee) {
+            employees = await dbAll(`${sql} WHERE e.id = ?`, [employee]);
+            if (!employees.length) return res.status(404).json({ error: 'Employee not found.' });
+        } else {
+            employees = await dbAll(`${sql} WHERE e.active = 1${team ? ' AND e.team_id = ?' : ''} ORDER BY e.display_name`, team ? [team] : []);
+            if (!employees.length) return res.status(404).json({ error: 'No active employees to make DTRs for.' });
+        }
+        const dtrs = await buildDailyTimeRecords(employees, period, site);
+        const render = (dtr) => (format === 'pdf' ? renderDtrPdf([dtr]) : renderDtrXlsx(dtr));
+        const baseName = (dtr) => `DTR-${dtr.name.replace(/[^A-Za-z0-9_-]+/g, '_')}-${period.key}`;
+
+        if (employee) {
+            res.setHeader('Content-Type', format === 'pdf' ? 'application/pdf' : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', `attachment; filename="${baseName(dtrs[0])}.${format}"`);
+            return res.end(await render(dtrs[0]));
+        }
+
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="DTR-${period.key}.zip"`);
+        const zip = archiver('zip');
+        zip.on('error', error => res.destroy(error));
+        zip.pipe(res);
+        const usedNames = new Set();
+        for (const dtr of dtrs) {
+            // Two employees with the same name get their ids in the file names
+            const name = usedNames.has(baseName(dtr)) ? `${baseName(dtr)}-${dtr.employee_id}` : baseName(dtr);
+            usedNames.add(name);
+            zip.append(await render(dtr), { name: `${name}.${format}` });
+        }
+        await zip.finalize();
+    } catch (error) {
+        console.error('Failed to generate DTR:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Failed to generate DTR.' });
+    }
+});
+
+// Turn upload errors (e.g. file too large) into JSON instead of Express's HTML page
+app.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${IMPORT_MAX_FILE_BYTES / (1024 * 1024)} MB.` : err.message });
+    }
+    next(err);
+});
+
+// --- Start Server ---
+setupDatabase()
+    .then(() => {
+        app.listen(PORT, () => {
+            console.log(`Server is running on http://localhost:${PORT}`);
+            startSyncScheduler();
+            startFailedDayRetries();
+        });
+    })
+    .catch(error => {
+        console.error('Could not set up the database:', error.message);
+        process.exit(1);
+    });
+
+/**
+ * @route GET /api/day-sessions
+ * @desc  Detailed in/out sessions for an employee on a specific date
+ * @query name or employeeId, date, gapMinutes? (default 30), site?
+ *        employeeId uses the employee's registered devices; name matches unregistered
+ *        devices by their normalized name (the same grouping as the presence report).
+ *        `date` is a workday (see WORKDAY_START and overnight shifts), so a night's sessions
+ *        can run into the next calendar day.
+ */
+app.get('/api/day-sessions', async (req, res) => {
+    try {
+        const { name, employeeId, date, gapMinutes, site } = req.query;
+        if ((!name && !employeeId) || !date) return res.status(400).json({ error: 'name (or employeeId) and date are required' });
+        if (!isValidDateString(date)) return res.status(400).json({ error: 'date must be a valid date in YYYY-MM-DD format.' });
+        if (site && !getSite(site)) return res.status(400).json({ error: `Unknown site '${site}'.` });
+        const gap = gapMinutes === undefined || gapMinutes === '' ? 30 : Number(gapMinutes);
+        if (!Number.isInteger(gap) || gap < 0) return res.status(400).json({ error: 'gapMinutes must be a whole number of minutes (0 or more).' });
+
+        let employee = null;
+        if (employeeId) {
+            employee = await dbGet(`SELECT id, display_name FROM employees WHERE id = ?`, [employeeId]);
+            if (!employee) return res.status(404).json({ error: 'Employee not found.' });
+        }
+        const workdayStart = (employee && (await getEmployeeWorkdayStarts()).get(employee.id)) || WORKDAY_START;
+
+        let sql = `SELECT Name, FirstSeen, LastSeen FROM logs 
+                     WHERE date(FirstSeen) BETWEEN date(?, '-1 day') AND date(?, '+1 day')`;
+        const params = [date, date];
+        if (employee) {
+            sql += ` AND Mac IN (SELECT mac FROM devices WHERE employee_id = ?)`;
+            params.push(employee.id);
+        } else {
+            sql += ` AND Mac NOT IN (SELECT mac FROM devices) AND Mac NOT IN (SELECT mac FROM ignored_devices)`;
+        }
+        if (site) {
+            sql += ` AND site = ?`;
+            params.push(site);
+        }
+        sql += ` ORDER BY FirstSeen`;
+        const rows = await dbAll(sql, params);
+
+        const target = employee ? null : normalizeName(name).toLowerCase();
+        const intervals = [];
+        let canonicalName = employee ? employee.display_name : null;
+        for (const r of rows) {
+            if (!employee) {
+                const norm = normalizeName(r.Name);
+                // Match if normalized names are equal (case-insensitive)
+                if (norm.toLowerCase() !== target) continue;
+                canonicalName = canonicalName || norm;
+            }
+            const start = parseStoredTimestamp(r.FirstSeen);
+            const end = parseStoredTimestamp(r.LastSeen || r.FirstSeen);
+            if (!Number.isNaN(start.getTime())) intervals.push([start, end >= start ? end : start]);
+        }
+
+        const merged = mergeDaySessions(intervals, date, workdayStart, gap);
+        if (!merged.length) {
+            return res.json({ employee: canonicalName || name, date, sessions: [], total_hours: '0.00', first_in: null, last_out: null });
+        }
+
+        const sessions = merged.map(([s, e]) => ({ in_time: toLocalISOString(s), out_time: toLocalISOString(e) }));
+        const totalMinutes = merged.reduce((acc, [s, e]) => acc + (e - s) / (1000 * 60), 0);
+
+        res.json({
+            employee: canonicalName || name,
+            date,
+            sessions,
+            total_hours: Number(totalMinutes / 60).toFixed(2),
+            first_in: sessions[0]?.in_time || null,
+            last_out: sessions[sessions.length - 1]?.out_time || null
         });
     } catch (e) {
         console.error('/api/day-sessions error:', e);